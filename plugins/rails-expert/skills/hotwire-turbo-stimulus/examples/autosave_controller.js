@@ -1,23 +1,68 @@
-// Auto-Save Form Controller
+// Auto-Save Form Controller with Offline Queue, Conflict Detection and Save History
 //
 // app/javascript/controllers/autosave_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { request } from "helpers/request"
+import { t, locale } from "helpers/i18n"
+
+// English fallbacks for autosave.* in the page's i18n dictionary
+const MESSAGES = {
+  waiting: "Waiting...",
+  saving: "Saving...",
+  saved: "Saved!",
+  error: "Error saving",
+  offline: "Offline. Changes saved locally",
+  network_error: "Network error. Changes saved locally",
+  conflict: "This record was changed by someone else. Reload to see their changes.",
+  restore: "Restore %{time}"
+}
+
+// Statuses worth a toast; routine saves stay in the status target
+const NOTIFY_LEVELS = {
+  offline: "warning",
+  conflict: "error",
+  error: "error"
+}
 
 export default class extends Controller {
-  static targets = ["status"]
+  static targets = ["status", "history"]
   static values = {
     url: String,
-    delay: { type: Number, default: 1000 }
+    delay: { type: Number, default: 1000 },
+    version: String,
+    versionParam: { type: String, default: "version" },
+    historyLimit: { type: Number, default: 10 },
+    messages: Object,
+    notify: { type: Boolean, default: false }
   }
 
   connect() {
     this.timeout = null
+    this.conflicted = false
+    this.history = []
+
+    // What the server has; only fields that differ from this are sent
+    this.lastSaved = this.groupEntries(this.formEntries())
+    this.recordSave([])
+
+    this.replay = this.replay.bind(this)
+    window.addEventListener("online", this.replay)
+
+    // Pick up edits queued before the last reload
+    if (this.pendingSave) {
+      this.restoreFields(this.pendingSave.entries)
+      this.replay()
+    }
   }
 
   save() {
     clearTimeout(this.timeout)
 
-    this.showStatus("Waiting...")
+    // Don't overwrite someone else's changes until the conflict is resolved
+    if (this.conflicted) return
+
+    this.showStatus(this.message("waiting"))
 
     this.timeout = setTimeout(() => {
       this.performSave()
@@ -25,31 +70,229 @@ export default class extends Controller {
   }
 
   async performSave() {
-    this.showStatus("Saving...")
+    if (!this.enqueue()) {
+      this.showStatus("")
+      return
+    }
 
-    const formData = new FormData(this.element)
+    await this.replay()
+  }
+
+  // Sends the queued edit for this form, if any
+  async replay() {
+    const pending = this.pendingSave
+    if (!pending || this.conflicted || this.saving) return
+
+    if (!navigator.onLine) {
+      this.showStatus(this.message("offline"), "offline")
+      return
+    }
+
+    let saved = false
+    this.saving = true
+    this.showStatus(this.message("saving"))
 
     try {
-      const response = await fetch(this.urlValue, {
+      const response = await request(this.urlValue, {
         method: "PATCH",
-        body: formData,
-        headers: {
-          "X-CSRF-Token": this.csrfToken,
-          "Accept": "text/vnd.turbo-stream.html"
-        }
+        body: this.buildFormData(pending),
+        accept: ["turbo-stream"],
+        element: this.element,
+        prefix: this.identifier
       })
 
+      // Validation errors and updated timestamps arrive as Turbo Streams
+      if (response.kind === "turbo-stream") {
+        Turbo.renderStreamMessage(response.body)
+      }
+
       if (response.ok) {
-        this.showStatus("Saved!", "success")
+        this.versionValue = response.headers.get("X-Record-Version") || this.versionValue
+        this.dequeue(pending)
+        this.recordSave(pending.entries)
+        this.showStatus(this.message("saved"), "success")
+        saved = true
+      } else if (response.status === 409) {
+        this.conflicted = true
+        this.showStatus(this.message("conflict"), "conflict")
+        this.dispatch("conflict", { detail: { response } })
       } else {
-        this.showStatus("Error saving", "error")
+        // Retrying a rejected edit won't help; server errors are retried later
+        if (response.status < 500) this.dequeue(pending)
+        this.showStatus(this.message("error"), "error")
       }
     } catch (error) {
-      this.showStatus("Network error", "error")
+      // The edit stays queued and is retried when the browser comes back online
+      this.showStatus(this.message("network_error"), "offline")
+    } finally {
+      this.saving = false
+    }
+
+    // Send edits made while this request was in flight
+    if (saved && this.pendingSave) {
+      this.replay()
+    }
+  }
+
+  // Drops the queued edit and reloads the page, e.g. after the user chose to
+  // keep the server's version. The fresh form brings the current values and
+  // version, so the next edit doesn't run into the same conflict.
+  discard() {
+    clearTimeout(this.timeout)
+    localStorage.removeItem(this.storageKey)
+    this.showStatus("")
+
+    Turbo.visit(window.location.href, { action: "replace" })
+  }
+
+  // Steps back to the snapshot before the latest save
+  undo() {
+    if (this.history.length < 2) return
+
+    this.history.pop()
+    this.restoreSnapshot(this.history.at(-1))
+  }
+
+  // data-autosave-index-param comes from the buttons rendered into the history target
+  restore({ params: { index } }) {
+    const snapshot = this.history[index]
+    if (snapshot) this.restoreSnapshot(snapshot)
+  }
+
+  restoreSnapshot(snapshot) {
+    this.restoreFields(snapshot.entries)
+    this.renderHistory()
+    this.save()
+  }
+
+  // Queues the fields that changed since the last successful save.
+  // Returns false when there is nothing to send.
+  enqueue() {
+    const current = this.groupEntries(this.formEntries())
+    const entries = []
+
+    // A name can drop out of the form data, e.g. an unchecked checkbox without
+    // a hidden field or an emptied multi-select; it's sent blank to clear it
+    const names = new Set([...this.lastSaved.keys(), ...current.keys()])
+
+    names.forEach(name => {
+      const values = current.get(name) || [""]
+
+      if (!this.sameValues(values, this.lastSaved.get(name))) {
+        values.forEach(value => entries.push([name, value]))
+      }
+    })
+
+    if (entries.length === 0) return false
+
+    const pending = { entries, version: this.versionValue, queuedAt: Date.now() }
+    localStorage.setItem(this.storageKey, JSON.stringify(pending))
+    return true
+  }
+
+  dequeue(sent) {
+    const pending = this.pendingSave
+
+    if (pending?.queuedAt === sent.queuedAt) {
+      localStorage.removeItem(this.storageKey)
+    } else if (pending) {
+      // A newer edit was queued in the meantime; it builds on the version just saved
+      pending.version = this.versionValue
+      localStorage.setItem(this.storageKey, JSON.stringify(pending))
     }
   }
 
+  recordSave(sentEntries) {
+    this.groupEntries(sentEntries).forEach((values, name) => {
+      this.lastSaved.set(name, values)
+    })
+
+    const entries = [...this.lastSaved].flatMap(([name, values]) => values.map(value => [name, value]))
+    const latest = this.history.at(-1)
+
+    // Saving a restored snapshot shouldn't add a duplicate entry
+    if (latest && JSON.stringify(latest.entries) === JSON.stringify(entries)) return
+
+    this.history.push({ entries, savedAt: new Date() })
+    this.history = this.history.slice(-this.historyLimitValue)
+    this.renderHistory()
+  }
+
+  renderHistory() {
+    if (!this.hasHistoryTarget) return
+
+    const items = this.history.map((snapshot, index) => {
+      const button = document.createElement("button")
+      button.type = "button"
+      button.textContent = this.message("restore", { time: snapshot.savedAt.toLocaleTimeString(locale()) })
+      button.dataset.action = "autosave#restore"
+      button.dataset.autosaveIndexParam = index
+
+      const item = document.createElement("li")
+      item.append(button)
+      return item
+    })
+
+    this.historyTarget.replaceChildren(...items.reverse())
+  }
+
+  buildFormData({ entries, version }) {
+    const formData = new FormData()
+    entries.forEach(([name, value]) => formData.append(name, value))
+
+    if (version) {
+      formData.set(this.versionParamValue, version)
+    }
+
+    return formData
+  }
+
+  restoreFields(entries) {
+    this.groupEntries(entries).forEach((values, name) => {
+      const item = this.element.elements.namedItem(name)
+      const fields = item instanceof RadioNodeList ? [...item] : [item].filter(Boolean)
+      const hasCheckbox = fields.some(field => field.type === "checkbox")
+      let position = 0
+
+      fields.forEach(field => {
+        if (field.type === "checkbox" || field.type === "radio") {
+          field.checked = values.includes(field.value)
+        } else if (field.type === "select-multiple") {
+          [...field.options].forEach(option => { option.selected = values.includes(option.value) })
+        } else if (field.type === "file" || (field.type === "hidden" && hasCheckbox)) {
+          // Files can't be restored; hidden fields next to checkboxes hold the unchecked value
+        } else {
+          field.value = values[position++] ?? ""
+        }
+      })
+    })
+  }
+
+  // Files can't be serialized to localStorage
+  formEntries() {
+    return [...new FormData(this.element)].filter(([, value]) => typeof value === "string")
+  }
+
+  // [[name, value], ...] => Map of name => [values], so multi-value fields compare as a whole
+  groupEntries(entries) {
+    const grouped = new Map()
+
+    entries.forEach(([name, value]) => {
+      grouped.set(name, [...(grouped.get(name) || []), value])
+    })
+
+    return grouped
+  }
+
+  sameValues(a = [], b = []) {
+    return a.length === b.length && a.every((value, i) => value === b[i])
+  }
+
   showStatus(message, type = "info") {
+    if (this.notifyValue && NOTIFY_LEVELS[type]) {
+      this.dispatch("notify", { prefix: "notifications", detail: { message, level: NOTIFY_LEVELS[type] } })
+    }
+
     if (this.hasStatusTarget) {
       this.statusTarget.textContent = message
       this.statusTarget.className = `status-${type}`
@@ -62,12 +305,27 @@ export default class extends Controller {
     }
   }
 
-  get csrfToken() {
-    return document.querySelector("[name='csrf-token']").content
+  // data-autosave-messages-value='{"saved": "Draft saved"}' overrides the dictionary
+  message(key, variables = {}) {
+    return t(`autosave.${key}`, { ...variables, default: MESSAGES[key], override: this.messagesValue[key] })
+  }
+
+  get pendingSave() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey))
+    } catch {
+      return null
+    }
+  }
+
+  // One queue entry per form and URL
+  get storageKey() {
+    return `autosave:${this.element.id}:${this.urlValue}`
   }
 
   disconnect() {
     clearTimeout(this.timeout)
+    window.removeEventListener("online", this.replay)
   }
 }
 
@@ -76,8 +334,38 @@ export default class extends Controller {
 //               data: {
 //                 controller: "autosave",
 //                 autosave_url_value: product_path(@product),
-//                 action: "input->autosave#save"
+//                 autosave_version_value: @product.lock_version,
+//                 autosave_version_param_value: "product[lock_version]",
+//                 autosave_messages_value: { saved: "Draft saved" },
+//                 autosave_notify_value: true,
+//                 action: "input->autosave#save change->autosave#save"
 //               } do |f| %>
+//   <div id="<%= dom_id(@product, :errors) %>"></div>
 //   <%= f.text_field :name %>
 //   <span data-autosave-target="status"></span>
+//   <span id="<%= dom_id(@product, :saved_at) %>"></span>
+//
+//   <button type="button" data-action="autosave#undo">Undo</button>
+//   <button type="button" data-action="autosave#discard">Discard my changes</button>
+//   <ol data-autosave-target="history"></ol>
 // <% end %>
+//
+// Rails optimistic locking raises on a stale lock_version; answer with 409
+// and send the new version back on success:
+//
+// def update
+//   if @product.update(product_params)
+//     response.set_header("X-Record-Version", @product.lock_version.to_s)
+//     render turbo_stream: [
+//       turbo_stream.update(dom_id(@product, :errors), ""),
+//       turbo_stream.update(dom_id(@product, :saved_at), "Saved at #{l(@product.updated_at, format: :short)}")
+//     ]
+//   else
+//     render turbo_stream: turbo_stream.update(dom_id(@product, :errors),
+//                                              partial: "shared/errors",
+//                                              locals: { record: @product }),
+//            status: :unprocessable_entity
+//   end
+// rescue ActiveRecord::StaleObjectError
+//   head :conflict
+// end
@@ -1,46 +1,127 @@
-// Form Character Counter Controller with Limit
+// Form Character Counter Controller with Limit and Counting Modes
 //
 // app/javascript/controllers/character_counter_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { t, locale } from "helpers/i18n"
+
+const UNITS = {
+  graphemes: "characters",
+  codepoints: "characters",
+  bytes: "bytes",
+  words: "words"
+}
+
+// English fallbacks for character_counter.* in the page's i18n dictionary
+const MESSAGES = {
+  over_limit: "%{count} %{unit} over the limit",
+  remaining: "%{count} %{unit} remaining",
+  within_limit: "Within the %{count} %{unit} limit",
+  units: {
+    characters: { one: "character", other: "characters" },
+    bytes: { one: "byte", other: "bytes" },
+    words: { one: "word", other: "words" }
+  }
+}
 
 export default class extends Controller {
-  static targets = ["input", "count", "remaining"]
-  static values = { max: Number }
+  static targets = ["input", "count", "remaining", "submit", "status"]
+  static values = {
+    max: Number,
+    mode: { type: String, default: "codepoints" },
+    warning: { type: Number, default: 20 },
+    messages: Object
+  }
   static classes = ["warning", "danger"]
 
+  connect() {
+    this.level = null
+    this.update()
+  }
+
   update() {
-    const length = this.inputTarget.value.length
+    const length = this.measure(this.inputTarget.value)
     const remaining = this.maxValue - length
+    const level = remaining < 0 ? "danger" : remaining < this.warningValue ? "warning" : "ok"
 
-    this.countTarget.textContent = length
-    this.remainingTarget.textContent = remaining
+    if (this.hasCountTarget) this.countTarget.textContent = length
+    if (this.hasRemainingTarget) {
+      this.remainingTarget.textContent = remaining
 
-    // Color coding
-    if (remaining < 0) {
-      this.remainingTarget.classList.add(this.dangerClass)
-      this.remainingTarget.classList.remove(this.warningClass)
-    } else if (remaining < 20) {
-      this.remainingTarget.classList.add(this.warningClass)
-      this.remainingTarget.classList.remove(this.dangerClass)
-    } else {
-      this.remainingTarget.classList.remove(this.warningClass, this.dangerClass)
+      // Color coding
+      if (this.hasDangerClass) this.remainingTarget.classList.toggle(this.dangerClass, level === "danger")
+      if (this.hasWarningClass) this.remainingTarget.classList.toggle(this.warningClass, level === "warning")
     }
 
     // Disable submit if over limit
-    const submitButton = this.element.querySelector('[type="submit"]')
-    if (submitButton) {
-      submitButton.disabled = remaining < 0
+    this.submitTargets.forEach(button => { button.disabled = level === "danger" })
+
+    // Announce crossing a threshold, not every keystroke
+    if (this.level !== null && level !== this.level) this.announce(level, remaining)
+    this.level = level
+  }
+
+  // Counts the way the server will. Browsers submit textarea line breaks as
+  // CRLF, so each one counts twice against a Rails length validation.
+  measure(value) {
+    const text = value.replace(/\r?\n/g, "\r\n")
+
+    switch (this.modeValue) {
+      case "graphemes":
+        return this.segment(text, "grapheme")?.length ?? [...text].length
+      case "bytes":
+        return new TextEncoder().encode(text).length
+      case "words":
+        return this.segment(text, "word")?.filter(segment => segment.isWordLike).length ??
+          text.split(/\s+/).filter(Boolean).length
+      default:
+        // Ruby's String#length, which the length validator uses
+        return [...text].length
     }
   }
+
+  segment(text, granularity) {
+    if (typeof Intl.Segmenter !== "function") return null
+    return [...new Intl.Segmenter(locale(), { granularity }).segment(text)]
+  }
+
+  announce(level, remaining) {
+    if (!this.hasStatusTarget) return
+
+    const units = UNITS[this.modeValue] || UNITS.codepoints
+    const unit = count => t(`character_counter.units.${units}`, { count, default: MESSAGES.units[units] })
+
+    if (level === "danger") {
+      this.statusTarget.textContent = this.message("over_limit", { count: -remaining, unit: unit(-remaining) })
+    } else if (level === "warning") {
+      this.statusTarget.textContent = this.message("remaining", { count: remaining, unit: unit(remaining) })
+    } else {
+      this.statusTarget.textContent = this.message("within_limit", { count: this.maxValue, unit: unit(this.maxValue) })
+    }
+  }
+
+  message(key, variables) {
+    return t(`character_counter.${key}`, { ...variables, default: MESSAGES[key], override: this.messagesValue[key] })
+  }
 }
 
 // Usage:
 // <div data-controller="character-counter"
 //      data-character-counter-max-value="280"
+//      data-character-counter-mode-value="graphemes"
+//      data-character-counter-warning-value="30"
 //      data-character-counter-warning-class="text-yellow-500"
 //      data-character-counter-danger-class="text-red-500">
 //   <textarea data-character-counter-target="input"
 //             data-action="input->character-counter#update"></textarea>
 //   <span data-character-counter-target="count">0</span> /
 //   <span data-character-counter-target="remaining">280</span> remaining
+//   <p data-character-counter-target="status" class="sr-only" aria-live="polite"></p>
+//
+//   <button type="submit" data-character-counter-target="submit">Post</button>
 // </div>
+//
+// Modes:
+//   codepoints (default)  matches validates :body, length: { maximum: 280 }
+//   graphemes             what users see as characters; an emoji family counts once
+//   bytes                 for byte-limited columns, e.g. MySQL indexes
+//   words                 for word-count limits
@@ -1,49 +1,170 @@
-// Clipboard Copy Controller with Feedback
+// Clipboard Copy Controller with Rich Text, Fallback and Feedback
 //
 // app/javascript/controllers/clipboard_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { request } from "helpers/request"
+import { t } from "helpers/i18n"
 
 export default class extends Controller {
-  static targets = ["source", "button"]
+  static targets = ["source", "button", "status"]
   static values = {
-    successMessage: { type: String, default: "Copied!" },
+    content: String,
+    url: String,
+    html: { type: Boolean, default: false },
+    successMessage: String,
+    errorMessage: String,
+    notify: { type: Boolean, default: false },
     successDuration: { type: Number, default: 2000 }
   }
 
-  copy(event) {
+  async copy(event) {
     event.preventDefault()
 
-    const text = this.sourceTarget.value || this.sourceTarget.textContent
-    navigator.clipboard.writeText(text).then(() => {
-      this.showSuccess()
-    }).catch(() => {
-      this.showError()
+    try {
+      await this.write(this.text(), this.html())
+      this.showFeedback(t("clipboard.copied", { default: "Copied!", override: this.successMessageValue }), "success")
+      this.dispatch("copied")
+    } catch (error) {
+      console.error("Copy failed:", error)
+      this.showFeedback(t("clipboard.failed", { default: "Copy failed", override: this.errorMessageValue }), "error")
+      this.dispatch("error", { detail: { error } })
+    }
+  }
+
+  // Plain text from, in order: the content value, the URL, or the source target.
+  // A promise, so Safari keeps the click's permission while a URL loads.
+  text() {
+    if (this.hasContentValue) return Promise.resolve(this.contentValue)
+    if (this.hasUrlValue) return this.fetchText()
+
+    const source = this.sourceTarget
+    return Promise.resolve(this.isField(source) ? source.value : source.innerText)
+  }
+
+  html() {
+    if (!this.htmlValue || !this.hasSourceTarget || this.isField(this.sourceTarget)) return null
+    return Promise.resolve(this.sourceTarget.innerHTML)
+  }
+
+  isField(element) {
+    return element.matches("input, textarea, select")
+  }
+
+  async fetchText() {
+    const response = await request(this.urlValue, {
+      accept: ["text/plain"],
+      element: this.element,
+      prefix: this.identifier
     })
+
+    if (!response.ok) throw new Error(`Loading ${this.urlValue} failed with ${response.status}`)
+    return response.body
+  }
+
+  async write(text, html) {
+    const clipboard = navigator.clipboard
+
+    // The async Clipboard API only exists on secure origins
+    if (clipboard?.write && window.ClipboardItem) {
+      const blob = (promise, type) => promise.then(content => new Blob([content], { type }))
+      const items = { "text/plain": blob(text, "text/plain") }
+      if (html) items["text/html"] = blob(html, "text/html")
+
+      try {
+        return await clipboard.write([new ClipboardItem(items)])
+      } catch (error) {
+        if (error.name !== "NotAllowedError") throw error
+      }
+    } else if (clipboard?.writeText) {
+      try {
+        return await clipboard.writeText(await text)
+      } catch (error) {
+        if (error.name !== "NotAllowedError") throw error
+      }
+    }
+
+    this.writeWithExecCommand(await text)
   }
 
-  showSuccess() {
-    if (this.hasButtonTarget) {
-      const originalText = this.buttonTarget.textContent
-      this.buttonTarget.textContent = this.successMessageValue
-      this.buttonTarget.classList.add("success")
+  // Older browsers, plain http origins and denied permissions
+  writeWithExecCommand(text) {
+    const textarea = document.createElement("textarea")
+    textarea.value = text
+    textarea.setAttribute("readonly", "")
+    textarea.setAttribute("aria-hidden", "true")
+    Object.assign(textarea.style, { position: "fixed", top: "0", left: "-9999px", opacity: "0" })
 
-      setTimeout(() => {
-        this.buttonTarget.textContent = originalText
-        this.buttonTarget.classList.remove("success")
-      }, this.successDurationValue)
+    const focused = document.activeElement
+    document.body.append(textarea)
+    textarea.select()
+
+    try {
+      if (!document.execCommand("copy")) throw new Error("execCommand copy was rejected")
+    } finally {
+      textarea.remove()
+      focused?.focus()
     }
   }
 
-  showError() {
-    if (this.hasButtonTarget) {
-      this.buttonTarget.textContent = "Failed!"
-      this.buttonTarget.classList.add("error")
+  // Both success and failure revert to the button's own label. With notify,
+  // the layout's notifications controller shows a toast instead.
+  showFeedback(message, state) {
+    if (this.notifyValue) {
+      this.dispatch("notify", { prefix: "notifications", detail: { message, level: state } })
+      return
+    }
+
+    if (this.hasStatusTarget) {
+      this.statusTarget.textContent = message
     }
+
+    if (!this.hasButtonTarget) return
+
+    clearTimeout(this.resetTimeout)
+    this.originalText ??= this.buttonTarget.textContent
+
+    this.buttonTarget.textContent = message
+    this.buttonTarget.classList.remove("success", "error")
+    this.buttonTarget.classList.add(state)
+
+    this.resetTimeout = setTimeout(() => {
+      this.buttonTarget.textContent = this.originalText
+      this.buttonTarget.classList.remove(state)
+      this.originalText = null
+
+      if (this.hasStatusTarget) this.statusTarget.textContent = ""
+    }, this.successDurationValue)
+  }
+
+  disconnect() {
+    clearTimeout(this.resetTimeout)
   }
 }
 
 // Usage:
 // <div data-controller="clipboard">
-//   <input type="text" data-clipboard-target="source" value="Text to copy">
+//   <input type="text" data-clipboard-target="source" value="Text to copy" readonly>
 //   <button data-clipboard-target="button" data-action="clipboard#copy">Copy</button>
+//   <span data-clipboard-target="status" class="sr-only" aria-live="polite"></span>
+// </div>
+//
+// No visible source, e.g. an API key:
+// <div data-controller="clipboard" data-clipboard-content-value="<%= @api_key.token %>">
+//   <code>sk_live_••••<%= @api_key.token.last(4) %></code>
+//   <button data-clipboard-target="button" data-action="clipboard#copy">Copy key</button>
+// </div>
+//
+// Text loaded on demand:
+// <div data-controller="clipboard" data-clipboard-url-value="<%= snippet_path(@snippet, format: :txt) %>">
+//
+// Report through the notifications controller rather than the button:
+// <div data-controller="clipboard" data-clipboard-notify-value="true">
+//
+// Per-instance wording, instead of clipboard.copied from the i18n dictionary:
+// <div data-controller="clipboard" data-clipboard-success-message-value="Key copied">
+//
+// Rich text that keeps its formatting when pasted into an email:
+// <div data-controller="clipboard" data-clipboard-html-value="true">
+//   <div data-clipboard-target="source"><%= @invoice.summary_html %></div>
+//   <button data-clipboard-target="button" data-action="clipboard#copy">Copy summary</button>
 // </div>
@@ -1,25 +1,174 @@
-// Confirm Dialog Controller
+// Confirm Dialog Controller with Styled, Promise-Based Dialogs
 //
 // app/javascript/controllers/confirm_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { t } from "helpers/i18n"
 
 export default class extends Controller {
-  static values = { message: String }
+  static targets = ["template", "dialog", "message", "input", "inputLabel", "confirmButton", "cancelButton"]
+  static values = {
+    message: String,
+    confirmLabel: String,
+    cancelLabel: String,
+    turbo: { type: Boolean, default: false }
+  }
 
-  confirm(event) {
-    if (!window.confirm(this.messageValue)) {
-      event.preventDefault()
-      event.stopImmediatePropagation()
+  connect() {
+    // Links and button_to forms with data-turbo-confirm use this dialog too
+    if (this.turboValue) {
+      Turbo.setConfirmMethod((message, element, submitter) => {
+        return this.ask({ message, ...this.optionsFrom(submitter || element) })
+      })
+    }
+  }
+
+  // Action for links and buttons that aren't going through Turbo:
+  // data-action="confirm#confirm" with optional data-confirm-*-param overrides
+  async confirm(event) {
+    const element = event.currentTarget
+    if (element.dataset.confirmed) return
+
+    event.preventDefault()
+    event.stopImmediatePropagation()
+
+    const confirmed = await this.ask({
+      message: event.params.message,
+      confirmLabel: event.params.confirmLabel,
+      cancelLabel: event.params.cancelLabel,
+      requireText: event.params.requireText
+    })
+
+    if (!confirmed) return
+
+    // Let the original click or submit go through this time
+    element.dataset.confirmed = "true"
+
+    try {
+      if (event.type === "submit") {
+        element.requestSubmit(event.submitter)
+      } else {
+        element.click()
+      }
+    } finally {
+      delete element.dataset.confirmed
+    }
+  }
+
+  // Shows the dialog and resolves to true or false.
+  // With requireText, the user must type it before confirming.
+  ask({ message, confirmLabel, cancelLabel, requireText } = {}) {
+    this.dismiss(false)
+
+    const trigger = document.activeElement
+    this.element.append(this.templateTarget.content.cloneNode(true))
+
+    this.messageTarget.textContent = t("confirm.message", { default: "Are you sure?", override: message || this.messageValue })
+    this.confirmButtonTarget.textContent = t("confirm.confirm", { default: "Confirm", override: confirmLabel || this.confirmLabelValue })
+    this.cancelButtonTarget.textContent = t("confirm.cancel", { default: "Cancel", override: cancelLabel || this.cancelLabelValue })
+
+    if (this.hasInputTarget) {
+      this.inputTarget.closest("[data-confirm-require-text]")?.toggleAttribute("hidden", !requireText)
+      this.inputTarget.value = ""
+      this.requiredText = requireText || null
+
+      if (requireText && this.hasInputLabelTarget) {
+        this.inputLabelTarget.textContent = requireText
+      }
+    }
+
+    this.updateConfirmButton()
+    this.dialogTarget.showModal()
+
+    // Start on the safe choice
+    const initialFocus = this.requiredText ? this.inputTarget : this.cancelButtonTarget
+    initialFocus.focus()
+
+    return new Promise(resolve => {
+      this.resolve = confirmed => {
+        this.dialogTarget.remove()
+        if (trigger?.isConnected) trigger.focus()
+        resolve(confirmed)
+      }
+    })
+  }
+
+  accept() {
+    if (!this.confirmButtonTarget.disabled) this.dismiss(true)
+  }
+
+  reject() {
+    this.dismiss(false)
+  }
+
+  // Escape closes the dialog the same as Cancel
+  cancel(event) {
+    event.preventDefault()
+    this.dismiss(false)
+  }
+
+  updateConfirmButton() {
+    this.confirmButtonTarget.disabled = Boolean(this.requiredText) && this.inputTarget.value.trim() !== this.requiredText
+  }
+
+  dismiss(confirmed) {
+    const resolve = this.resolve
+    this.resolve = null
+    resolve?.(confirmed)
+  }
+
+  optionsFrom(element) {
+    const { confirmLabel, confirmCancelLabel, confirmRequireText } = element?.dataset || {}
+    return { confirmLabel, cancelLabel: confirmCancelLabel, requireText: confirmRequireText }
+  }
+
+  disconnect() {
+    this.dismiss(false)
+
+    if (this.turboValue) {
+      Turbo.setConfirmMethod(message => Promise.resolve(window.confirm(message)))
     }
   }
 }
 
-// Usage:
-// <%= button_to "Delete",
-//               product_path(@product),
+// Usage, mounted once in the layout:
+// <body data-controller="confirm" data-confirm-turbo-value="true">
+//   <%= yield %>
+//
+//   <template data-confirm-target="template">
+//     <dialog data-confirm-target="dialog" class="confirm-dialog"
+//             aria-labelledby="confirm-message"
+//             data-action="cancel->confirm#cancel">
+//       <p id="confirm-message" data-confirm-target="message"></p>
+//
+//       <label data-confirm-require-text hidden>
+//         Type <strong data-confirm-target="inputLabel"></strong> to confirm
+//         <input data-confirm-target="input" autocomplete="off"
+//                data-action="input->confirm#updateConfirmButton keydown.enter->confirm#accept">
+//       </label>
+//
+//       <button type="button" data-confirm-target="cancelButton" data-action="confirm#reject"></button>
+//       <button type="button" data-confirm-target="confirmButton" data-action="confirm#accept"
+//               class="btn-danger"></button>
+//     </dialog>
+//   </template>
+// </body>
+//
+// Turbo links and forms:
+// <%= button_to "Delete", product_path(@product),
 //               method: :delete,
 //               data: {
-//                 controller: "confirm",
-//                 confirm_message_value: "Are you sure?",
-//                 action: "confirm#confirm"
+//                 turbo_confirm: "Delete #{@product.name}? This can't be undone.",
+//                 confirm_label: "Delete product",
+//                 confirm_require_text: @product.name
 //               } %>
+//
+// Anything else, via an action:
+// <button data-action="confirm#confirm"
+//         data-confirm-message-param="Archive this product?"
+//         data-confirm-confirm-label-param="Archive">Archive</button>
+//
+// From another controller:
+// const confirmed = await this.application
+//   .getControllerForElementAndIdentifier(document.body, "confirm")
+//   .ask({ message: "Discard draft?" })
@@ -1,47 +1,208 @@
-// Dropdown Menu Controller with Outside Click Detection
+// Dropdown Menu Controller (Accessible Menu Button with Outside Click Detection)
 //
 // app/javascript/controllers/dropdown_controller.js
 import { Controller } from "@hotwired/stimulus"
 
+// Only one menu is open at a time across the page
+let openDropdown = null
+
 export default class extends Controller {
-  static targets = ["menu"]
+  static targets = ["button", "menu", "item"]
   static classes = ["open", "closed"]
+  static values = {
+    typeaheadDelay: { type: Number, default: 500 }
+  }
+
+  connect() {
+    this.reposition = this.reposition.bind(this)
+    this.typeahead = ""
+
+    this.menuTarget.id ||= `${this.element.id || this.identifier}-menu-${Math.random().toString(36).slice(2, 8)}`
+    this.menuTarget.setAttribute("role", "menu")
+    this.items.forEach(item => {
+      item.setAttribute("role", "menuitem")
+      item.tabIndex = -1
+    })
+
+    if (this.hasButtonTarget) {
+      this.buttonTarget.setAttribute("aria-haspopup", "menu")
+      this.buttonTarget.setAttribute("aria-controls", this.menuTarget.id)
+      this.buttonTarget.setAttribute("aria-expanded", "false")
+    }
+  }
 
   toggle(event) {
     event.stopPropagation()
 
-    if (this.menuTarget.classList.contains(this.openClass)) {
+    if (this.isOpen) {
       this.close()
     } else {
       this.open()
     }
   }
 
-  open() {
-    this.menuTarget.classList.remove(this.closedClass)
-    this.menuTarget.classList.add(this.openClass)
+  open({ focus } = {}) {
+    if (openDropdown && openDropdown !== this) openDropdown.close()
+    openDropdown = this
+
+    if (this.hasClosedClass) this.menuTarget.classList.remove(this.closedClass)
+    if (this.hasOpenClass) this.menuTarget.classList.add(this.openClass)
+    this.menuTarget.hidden = false
+    if (this.hasButtonTarget) this.buttonTarget.setAttribute("aria-expanded", "true")
+
+    this.reposition()
+    window.addEventListener("resize", this.reposition, { passive: true })
+    window.addEventListener("scroll", this.reposition, { passive: true, capture: true })
+
+    if (focus === "first") this.focusItem(0)
+    if (focus === "last") this.focusItem(this.items.length - 1)
   }
 
-  close() {
-    this.menuTarget.classList.remove(this.openClass)
-    this.menuTarget.classList.add(this.closedClass)
+  close({ returnFocus = false } = {}) {
+    if (openDropdown === this) openDropdown = null
+
+    if (this.hasOpenClass) this.menuTarget.classList.remove(this.openClass)
+    if (this.hasClosedClass) this.menuTarget.classList.add(this.closedClass)
+    if (!this.hasClosedClass) this.menuTarget.hidden = true
+    if (this.hasButtonTarget) this.buttonTarget.setAttribute("aria-expanded", "false")
+
+    window.removeEventListener("resize", this.reposition)
+    window.removeEventListener("scroll", this.reposition, { capture: true })
+
+    if (returnFocus && this.hasButtonTarget) this.buttonTarget.focus()
   }
 
   // Close when clicking outside
   closeOnClickOutside(event) {
-    if (!this.element.contains(event.target)) {
+    if (this.isOpen && !this.element.contains(event.target)) {
+      this.close()
+    }
+  }
+
+  // Menu button keys: ArrowDown, Enter and Space open on the first item,
+  // ArrowUp on the last, Escape closes
+  buttonKeydown(event) {
+    if (event.key === "Escape" && this.isOpen) {
+      event.preventDefault()
       this.close()
+    } else if (["ArrowDown", "Enter", " "].includes(event.key)) {
+      event.preventDefault()
+      this.open({ focus: "first" })
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault()
+      this.open({ focus: "last" })
     }
   }
+
+  // Menu keys: arrows, Home and End move, Escape closes, Tab moves on, and
+  // typing jumps to the next item starting with those characters
+  menuKeydown(event) {
+    const items = this.items
+    const current = items.indexOf(document.activeElement)
+
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault()
+        this.focusItem((current + 1) % items.length)
+        break
+      case "ArrowUp":
+        event.preventDefault()
+        this.focusItem((current - 1 + items.length) % items.length)
+        break
+      case "Home":
+        event.preventDefault()
+        this.focusItem(0)
+        break
+      case "End":
+        event.preventDefault()
+        this.focusItem(items.length - 1)
+        break
+      case "Escape":
+        event.preventDefault()
+        this.close({ returnFocus: true })
+        break
+      case "Tab":
+        // Let focus move on naturally
+        this.close()
+        break
+      default:
+        if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+          this.search(event.key, current)
+        }
+    }
+  }
+
+  search(character, current) {
+    clearTimeout(this.typeaheadTimeout)
+    this.typeaheadTimeout = setTimeout(() => { this.typeahead = "" }, this.typeaheadDelayValue)
+    this.typeahead += character.toLowerCase()
+
+    // Start after the current item so repeating a letter cycles through matches
+    const items = this.items
+    const ordered = [...items.slice(current + 1), ...items.slice(0, current + 1)]
+    const match = ordered.find(item => item.textContent.trim().toLowerCase().startsWith(this.typeahead))
+
+    if (match) this.focusItem(items.indexOf(match))
+  }
+
+  focusItem(index) {
+    this.items[index]?.focus()
+  }
+
+  // Opens below and aligned to the start by default, flipping up or to the
+  // other side when the menu would overflow the viewport
+  reposition() {
+    const menu = this.menuTarget
+    Object.assign(menu.style, { top: "", bottom: "", left: "", right: "" })
+
+    const anchor = (this.hasButtonTarget ? this.buttonTarget : this.element).getBoundingClientRect()
+    const { width, height } = menu.getBoundingClientRect()
+
+    const overflowsBelow = anchor.bottom + height > window.innerHeight
+    const fitsAbove = anchor.top - height >= 0
+    const overflowsRight = anchor.left + width > window.innerWidth
+    const fitsLeft = anchor.right - width >= 0
+
+    if (overflowsBelow && fitsAbove) {
+      Object.assign(menu.style, { top: "auto", bottom: "100%" })
+    }
+
+    if (overflowsRight && fitsLeft) {
+      Object.assign(menu.style, { left: "auto", right: "0" })
+    }
+
+    menu.dataset.placement = `${overflowsBelow && fitsAbove ? "top" : "bottom"}-${overflowsRight && fitsLeft ? "end" : "start"}`
+  }
+
+  get isOpen() {
+    return openDropdown === this
+  }
+
+  get items() {
+    if (this.hasItemTarget) return this.itemTargets
+    return [...this.menuTarget.querySelectorAll("a[href], button:not([disabled]), [role='menuitem']")]
+  }
+
+  disconnect() {
+    if (this.isOpen) this.close()
+    clearTimeout(this.typeaheadTimeout)
+  }
 }
 
-// Usage in ERB:
-// <div data-controller="dropdown" data-action="click@window->dropdown#closeOnClickOutside">
-//   <button data-action="dropdown#toggle">Menu</button>
-//   <div data-dropdown-target="menu"
-//        data-dropdown-class="open=block"
-//        data-dropdown-class="closed=hidden"
-//        class="hidden">
+// Usage in ERB (the menu is positioned against the relative wrapper):
+// <div data-controller="dropdown" class="relative"
+//      data-dropdown-open-class="block"
+//      data-dropdown-closed-class="hidden"
+//      data-action="click@window->dropdown#closeOnClickOutside">
+//   <button data-dropdown-target="button"
+//           data-action="dropdown#toggle keydown->dropdown#buttonKeydown">Menu</button>
+//   <div data-dropdown-target="menu" class="hidden absolute top-full left-0"
+//        data-action="keydown->dropdown#menuKeydown">
 //     <a href="/products">Products</a>
+//     <a href="/orders">Orders</a>
+//     <%= button_to "Sign out", session_path, method: :delete %>
 //   </div>
 // </div>
+//
+// The chosen side is exposed for styling arrows and animations:
+// [data-placement^="top"] { transform-origin: bottom; }
@@ -1,39 +1,253 @@
-// Form Submission Controller with Loading State
+// Form Submission Controller with Per-Button Loading State and Unsaved-Changes Guard
 //
 // app/javascript/controllers/form_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { t } from "helpers/i18n"
 
 export default class extends Controller {
   static targets = ["submit"]
-
-  submit(event) {
-    this.disableSubmit()
+  static classes = ["dirty", "loading"]
+  static values = {
+    guard: { type: Boolean, default: true },
+    message: String
   }
 
-  // Turbo event listeners
   connect() {
-    this.element.addEventListener("turbo:submit-start", this.disableSubmit.bind(this))
-    this.element.addEventListener("turbo:submit-end", this.enableSubmit.bind(this))
+    this.initialState = this.serialize()
+    this.dirty = false
+
+    this.checkDirty = this.checkDirty.bind(this)
+    this.submitStarted = this.submitStarted.bind(this)
+    this.turboSubmitStarted = this.turboSubmitStarted.bind(this)
+    this.submitEnded = this.submitEnded.bind(this)
+    this.restoreSubmitters = this.restoreSubmitters.bind(this)
+    this.beforeUnload = this.beforeUnload.bind(this)
+    this.beforeVisit = this.beforeVisit.bind(this)
+    this.beforeFetchRequest = this.beforeFetchRequest.bind(this)
+
+    // Rows added or removed by nested-form change the form without an input event
+    this.changeEvents = ["input", "change", "nested-form:added", "nested-form:removed", "nested-form:restored"]
+    this.changeEvents.forEach(name => this.element.addEventListener(name, this.checkDirty))
+
+    this.element.addEventListener("submit", this.submitStarted)
+    this.element.addEventListener("turbo:submit-start", this.turboSubmitStarted)
+    this.element.addEventListener("turbo:submit-end", this.submitEnded)
+    document.addEventListener("turbo:before-cache", this.restoreSubmitters)
+    window.addEventListener("beforeunload", this.beforeUnload)
+    document.addEventListener("turbo:before-visit", this.beforeVisit)
+    document.addEventListener("turbo:before-fetch-request", this.beforeFetchRequest)
+  }
+
+  // Every submitter is disabled; the one that was clicked shows its
+  // data-form-loading-text (or form.submitting) and the loading class (e.g. a spinner)
+  disableSubmitters(active) {
+    this.restoreSubmitters()
+    this.saved = new Map()
+
+    this.submitters.forEach(button => {
+      const disabled = this.disabledBefore?.get(button) ?? button.disabled
+      this.saved.set(button, { disabled, label: this.labelOf(button) })
+      button.disabled = true
+    })
+    this.disabledBefore = null
+
+    // Pressing Enter submits with the first button, and submitter is null
+    active ||= this.submitters[0]
+
+    if (active) {
+      const loadingText = active.dataset.formLoadingText || t("form.submitting", { default: "Submitting..." })
+      this.setLabel(active, loadingText, { html: false })
+      if (this.hasLoadingClass) active.classList.add(...this.loadingClasses)
+    }
+
+    this.element.setAttribute("aria-busy", "true")
+  }
+
+  restoreSubmitters() {
+    this.saved?.forEach(({ disabled, label }, button) => {
+      button.disabled = disabled
+      this.setLabel(button, label, { html: true })
+      if (this.hasLoadingClass) button.classList.remove(...this.loadingClasses)
+    })
+
+    this.saved = null
+    this.element.removeAttribute("aria-busy")
+  }
+
+  // Rendering the error response happens after turbo:submit-end, and may
+  // replace this form with a fresh copy
+  async focusFirstInvalid() {
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)))
+
+    const form = (this.element.id && document.getElementById(this.element.id)) || this.element
+    const field = form.querySelector(
+      "[aria-invalid='true'], .field_with_errors :is(input, select, textarea), :is(input, select, textarea):invalid"
+    )
+
+    field?.focus()
+  }
+
+  labelOf(button) {
+    return button.tagName === "INPUT" ? button.value : button.innerHTML
+  }
+
+  // Loading text is plain text; restoring puts back the button's own markup
+  setLabel(button, label, { html }) {
+    if (button.tagName === "INPUT") {
+      button.value = label
+    } else if (html) {
+      button.innerHTML = label
+    } else {
+      button.textContent = label
+    }
+  }
+
+  checkDirty() {
+    const dirty = this.serialize() !== this.initialState
+    if (dirty === this.dirty) return
+
+    this.dirty = dirty
+    if (this.hasDirtyClass) this.element.classList.toggle(this.dirtyClass, dirty)
+    this.dispatch("dirty", { detail: { dirty } })
+  }
+
+  // Treats the current values as saved, e.g. after an autosave
+  markClean() {
+    this.initialState = this.serialize()
+    this.checkDirty()
+  }
+
+  // A full-page submit unloads the page on purpose, so the guard stands down
+  submitStarted(event) {
+    this.submitting = true
+
+    // Turbo disables the clicked button itself before turbo:submit-start, so
+    // what to restore afterwards is read here, ahead of Turbo's own listener
+    this.disabledBefore = new Map(this.submitters.map(button => [button, button.disabled]))
+
+    // Disabling the button now would drop its name from the submitted data
+    setTimeout(() => {
+      if (!event.defaultPrevented) {
+        this.disableSubmitters(event.submitter)
+      } else if (!this.saved) {
+        // Cancelled, or handed to Turbo, which reports through turbo:submit-start
+        this.submitting = false
+      }
+    })
+  }
+
+  turboSubmitStarted(event) {
+    this.submitting = true
+    this.disableSubmitters(event.detail.formSubmission.submitter)
   }
 
-  disableSubmit() {
-    if (this.hasSubmitTarget) {
-      this.submitTarget.disabled = true
-      this.originalText = this.submitTarget.textContent
-      this.submitTarget.textContent = "Submitting..."
+  submitEnded(event) {
+    this.submitting = false
+    this.restoreSubmitters()
+
+    if (event.detail.success) {
+      // Saved: Turbo's redirect visit must not be blocked
+      this.markClean()
+    } else {
+      this.focusFirstInvalid()
     }
   }
 
-  enableSubmit() {
-    if (this.hasSubmitTarget) {
-      this.submitTarget.disabled = false
-      this.submitTarget.textContent = this.originalText
+  beforeUnload(event) {
+    if (!this.shouldGuard) return
+
+    // Browsers show their own wording; returnValue is required by some
+    event.preventDefault()
+    event.returnValue = ""
+  }
+
+  beforeVisit(event) {
+    if (this.shouldGuard && !window.confirm(this.guardMessage)) {
+      event.preventDefault()
     }
   }
+
+  // Frame navigations that would replace this form don't fire turbo:before-visit
+  beforeFetchRequest(event) {
+    const frame = event.target
+    if (!this.shouldGuard || frame.tagName !== "TURBO-FRAME" || !frame.contains(this.element)) return
+
+    // Pausing the request is the only way to hold it; if the user stays, it's
+    // never resumed and the frame stops looking busy
+    event.preventDefault()
+
+    if (window.confirm(this.guardMessage)) {
+      event.detail.resume()
+    } else {
+      frame.removeAttribute("busy")
+      frame.removeAttribute("aria-busy")
+    }
+  }
+
+  // Field names and values in order, so added, removed and reordered fields all
+  // count. Files compare by name and size.
+  serialize() {
+    const entries = [...new FormData(this.element)]
+      .filter(([name]) => name !== "authenticity_token")
+      .map(([name, value]) => [name, value instanceof File ? `${value.name}:${value.size}` : value])
+
+    return JSON.stringify(entries)
+  }
+
+  // Buttons inside the form and those outside it with form="..."
+  get submitters() {
+    const submitters = [...this.element.elements].filter(element => element.type === "submit")
+    return [...new Set([...submitters, ...this.submitTargets])]
+  }
+
+  get guardMessage() {
+    return t("form.unsaved_changes", {
+      default: "You have unsaved changes. Leave this page anyway?",
+      override: this.messageValue
+    })
+  }
+
+  get shouldGuard() {
+    return this.guardValue && this.dirty && !this.submitting
+  }
+
+  disconnect() {
+    this.changeEvents.forEach(name => this.element.removeEventListener(name, this.checkDirty))
+    this.element.removeEventListener("submit", this.submitStarted)
+    this.element.removeEventListener("turbo:submit-start", this.turboSubmitStarted)
+    this.element.removeEventListener("turbo:submit-end", this.submitEnded)
+    document.removeEventListener("turbo:before-cache", this.restoreSubmitters)
+    window.removeEventListener("beforeunload", this.beforeUnload)
+    document.removeEventListener("turbo:before-visit", this.beforeVisit)
+    document.removeEventListener("turbo:before-fetch-request", this.beforeFetchRequest)
+  }
 }
 
 // Usage:
-// <%= form_with model: @product, data: { controller: "form" } do |f| %>
-//   <%= f.text_field :name %>
-//   <%= f.submit data: { form_target: "submit" } %>
+// <%= form_with model: @post, data: { controller: "form", form_dirty_class: "is-dirty", form_loading_class: "is-loading" } do |f| %>
+//   <%= f.text_field :title %>
+//
+//   <%= f.button "Save draft", name: "commit", value: "draft", data: { form_loading_text: "Saving draft..." } %>
+//   <%= f.button name: "commit", value: "publish", data: { form_loading_text: "Publishing..." } do %>
+//     <svg class="icon"><use href="#send"></use></svg> Publish
+//   <% end %>
 // <% end %>
+//
+// The clicked button gets the loading class; draw the spinner with CSS:
+// .is-loading::before { content: ""; display: inline-block; width: 1em; height: 1em;
+//   border: 2px solid currentColor; border-right-color: transparent; border-radius: 50%;
+//   animation: spin 0.75s linear infinite; }
+//
+// Show an "Unsaved changes" badge only while the form is dirty:
+// .unsaved-badge { display: none; }
+// form.is-dirty .unsaved-badge { display: inline; }
+//
+// React to the state from another controller:
+// <form data-controller="form publish" data-action="form:dirty->publish#update">
+//
+// update({ detail: { dirty } }) {
+//   this.publishButtonTarget.disabled = dirty
+// }
+//
+// Forms that should never prompt, e.g. a search box:
+// <%= form_with url: search_path, data: { controller: "form", form_guard_value: false } do |f| %>
@@ -0,0 +1,103 @@
+// Shared Translation Helper for Controller Strings
+//
+// app/javascript/helpers/i18n.js
+//
+// Pin it alongside the controllers:
+// # config/importmap.rb
+// pin_all_from "app/javascript/helpers", under: "helpers"
+
+// Parsed dictionaries by source element, so a Turbo visit that swaps the
+// dictionary is picked up
+const dictionaries = new WeakMap()
+
+// The page's locale, from <html lang="...">
+export function locale() {
+  return document.documentElement.lang || "en"
+}
+
+// Looks up a dot-separated key in the page's dictionary:
+//   t("autosave.saved")                          => "Saved!"
+//   t("autosave.restore", { time: "10:42" })     => "Restore 10:42"
+//   t("search.results", { count: 3 })            => "3 results"
+//
+// Entries interpolate %{name} like Rails I18n. Entries that are objects are
+// pluralized by count with Intl.PluralRules (zero, one, two, few, many, other).
+// Options:
+//   default    used when the dictionary has no entry
+//   override   used instead of the dictionary, e.g. from a Stimulus value
+export function t(key, options = {}) {
+  const { default: fallback, override, ...variables } = options
+  const entry = override || lookup(key) || fallback
+
+  if (entry === undefined || entry === null) return key
+
+  return interpolate(pluralize(entry, variables.count), variables)
+}
+
+function lookup(key) {
+  return key.split(".").reduce((scope, part) => scope?.[part], dictionary())
+}
+
+// <script type="application/json" data-i18n>...</script>, or
+// <meta name="i18n" content="...">
+function dictionary() {
+  const source = document.querySelector("script[type='application/json'][data-i18n], meta[name='i18n']")
+  if (!source) return {}
+
+  if (!dictionaries.has(source)) {
+    try {
+      dictionaries.set(source, JSON.parse(source.content || source.textContent))
+    } catch (error) {
+      console.error("Invalid i18n dictionary:", error)
+      dictionaries.set(source, {})
+    }
+  }
+
+  return dictionaries.get(source)
+}
+
+function pluralize(entry, count) {
+  if (typeof entry !== "object") return entry
+  if (count === undefined) return entry.other ?? ""
+
+  // Rails lets an explicit zero win over the language's own rules
+  if (count === 0 && entry.zero !== undefined) return entry.zero
+
+  const category = new Intl.PluralRules(locale()).select(count)
+  return entry[category] ?? entry.other ?? ""
+}
+
+function interpolate(text, variables) {
+  return String(text).replace(/%\{(\w+)\}/g, (match, name) => {
+    return name in variables ? variables[name] : match
+  })
+}
+
+// Usage, rendering the strings under js: in config/locales/*.yml into the layout:
+//
+// <%# app/views/layouts/application.html.erb %>
+// <html lang="<%= I18n.locale %>">
+//   <head>
+//     <script type="application/json" data-i18n><%= json_escape(I18n.t("js").to_json).html_safe %></script>
+//   </head>
+//
+// # config/locales/fr.yml
+// fr:
+//   js:
+//     autosave:
+//       saving: "Enregistrement…"
+//       saved: "Enregistré !"
+//       restore: "Restaurer %{time}"
+//
+// From a controller, with the English text as the fallback and a Stimulus
+// value as a per-instance override:
+// import { t } from "helpers/i18n"
+//
+// static values = { messages: Object }
+//
+// this.statusTarget.textContent = t("autosave.saved", {
+//   default: "Saved!",
+//   override: this.messagesValue.saved
+// })
+//
+// <form data-controller="autosave" data-autosave-messages-value='{"saved": "Draft saved"}'>
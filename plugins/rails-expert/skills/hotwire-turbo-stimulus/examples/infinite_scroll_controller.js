@@ -1,58 +1,389 @@
-// Infinite Scroll Controller
+// Infinite Scroll Controller with IntersectionObserver, Cursor Pagination,
+// Scroll Restoration and Virtual Windowing
 //
 // app/javascript/controllers/infinite_scroll_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { request } from "helpers/request"
+import { t } from "helpers/i18n"
+
+// English fallbacks for infinite_scroll.* in the page's i18n dictionary
+const MESSAGES = {
+  loading: "Loading more...",
+  error: "Couldn't load more results",
+  finished: "No more results"
+}
 
 export default class extends Controller {
-  static targets = ["entries", "pagination"]
-  static values = { page: Number }
+  static targets = ["entries", "pagination", "status"]
+  static values = {
+    nextUrl: String,
+    page: Number,
+    root: String,
+    rootMargin: { type: String, default: "200px" },
+    windowed: { type: Boolean, default: false },
+    windowMargin: { type: Number, default: 2000 },
+    messages: Object
+  }
+
+  connect() {
+    // Fall back to the server-rendered "next page" link
+    if (!this.nextUrlValue) {
+      this.nextUrlValue = this.nextLinkIn(this.element) || ""
+    }
+
+    this.initialState = { nextUrl: this.nextUrlValue, page: this.pageValue }
+    this.pageCount = 1
+    this.detachedPages = new Map()
+    this.markPage([...this.entriesTarget.children], 1)
+
+    this.observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) this.loadMore()
+    }, {
+      root: this.scrollRoot,
+      rootMargin: this.rootMarginValue
+    })
+
+    this.scrolled = this.scrolled.bind(this)
+    this.reset = this.reset.bind(this)
+    this.scrollSource.addEventListener("scroll", this.scrolled, { passive: true })
+    document.addEventListener("turbo:before-cache", this.reset)
 
-  scroll() {
-    const { scrollTop, scrollHeight, clientHeight } = document.documentElement
+    const saved = history.state?.infiniteScroll?.[this.entriesTarget.id]
 
-    // Near bottom?
-    if (scrollTop + clientHeight >= scrollHeight - 100) {
-      this.loadMore()
+    if (saved?.pageCount > this.pageCount) {
+      this.restore(saved)
+    } else {
+      this.observeSentinel()
     }
   }
 
-  async loadMore() {
-    if (this.loading) return
+  paginationTargetConnected() {
+    // A Turbo Stream may replace the sentinel along with the next link
+    this.observeSentinel()
+  }
 
-    this.loading = true
-    this.pageValue += 1
+  // Concurrent callers share the request already in flight
+  loadMore() {
+    if (this.done) return
 
-    const url = new URL(window.location)
-    url.searchParams.set("page", this.pageValue)
+    return this.loading ||= this.loadNextPage().finally(() => {
+      this.loading = null
+
+      // The sentinel may still be visible after a short page
+      if (!this.restoring) this.observeSentinel()
+    })
+  }
+
+  async loadNextPage() {
+    const url = this.nextPageUrl
+    if (!url) return this.finish()
+
+    this.showStatus(this.message("loading"))
 
     try {
-      const response = await fetch(url, {
-        headers: { "Accept": "text/html" }
+      const response = await request(url, {
+        accept: ["turbo-stream", "html"],
+        element: this.element,
+        prefix: this.identifier
       })
 
-      const html = await response.text()
-      const parser = new DOMParser()
-      const doc = parser.parseFromString(html, "text/html")
+      if (!response.ok) throw new Error(`Loading ${url} failed with ${response.status}`)
+
+      const html = response.body
+      const countBefore = this.entriesTarget.children.length
+      let nextUrl = this.linkHeaderNext(response)
 
-      const newEntries = doc.querySelector("#entries").innerHTML
-      this.entriesTarget.insertAdjacentHTML("beforeend", newEntries)
+      if (response.kind === "turbo-stream") {
+        Turbo.renderStreamMessage(html)
 
-      // Hide pagination if no more results
-      if (!newEntries.trim()) {
-        this.paginationTarget.remove()
+        // Streams render on the next animation frame
+        await new Promise(resolve => requestAnimationFrame(resolve))
+
+        nextUrl ||= this.nextLinkIn(this.element)
+      } else {
+        const doc = new DOMParser().parseFromString(html, "text/html")
+        const newEntries = doc.getElementById(this.entriesTarget.id)?.innerHTML || ""
+
+        this.entriesTarget.insertAdjacentHTML("beforeend", newEntries)
+        nextUrl ||= this.nextLinkIn(doc)
+      }
+
+      const added = [...this.entriesTarget.children].slice(countBefore)
+
+      // Page-number feeds end with an empty page, whichever format it came in
+      if (!nextUrl && this.hasPageValue) {
+        if (added.length > 0) {
+          this.pageValue += 1
+        } else {
+          this.done = true
+        }
+      }
+
+      if (added.length > 0) {
+        this.pageCount += 1
+        this.markPage(added, this.pageCount)
+      }
+
+      // Guard against a response that points back at itself
+      this.nextUrlValue = nextUrl && nextUrl !== url ? nextUrl : ""
+
+      if (!this.nextPageUrl) {
+        this.finish()
+      }
+
+      this.recordState()
+
+      if (!this.done) this.showStatus("")
+    } catch (error) {
+      console.error("Infinite scroll failed:", error)
+      this.showStatus(this.message("error"))
+    }
+  }
+
+  finish() {
+    this.done = true
+    this.observer.disconnect()
+
+    if (this.hasPaginationTarget) {
+      this.paginationTarget.hidden = true
+    }
+
+    this.showStatus(this.message("finished"))
+  }
+
+  showStatus(text) {
+    if (this.hasStatusTarget) {
+      this.statusTarget.textContent = text
+    }
+  }
+
+  message(key) {
+    return t(`infinite_scroll.${key}`, { default: MESSAGES[key], override: this.messagesValue[key] })
+  }
+
+  // Reloads the pages the user had seen before navigating away, then returns
+  // to where they were
+  async restore({ pageCount, scrollTop }) {
+    this.restoring = true
+
+    try {
+      while (this.pageCount < pageCount && !this.done) {
+        const loaded = this.pageCount
+        await this.loadMore()
+
+        if (this.pageCount === loaded) break
       }
     } finally {
-      this.loading = false
+      this.restoring = false
+    }
+
+    if (this.scrollRoot) {
+      this.scrollRoot.scrollTop = scrollTop
+    } else {
+      window.scrollTo(0, scrollTop)
+    }
+
+    this.observeSentinel()
+  }
+
+  // Turbo snapshots the page before leaving it. Cache the first page only, so a
+  // restoration visit rebuilds the rest from history.state.
+  reset() {
+    this.observer.disconnect()
+    this.attachPage(1)
+
+    this.entriesTarget.querySelectorAll(":scope > [data-infinite-scroll-spacer]").forEach(spacer => spacer.remove())
+    this.pageElements().filter(element => element.dataset.infiniteScrollPage !== "1").forEach(element => element.remove())
+    this.detachedPages.clear()
+
+    this.pageCount = 1
+    this.done = false
+    this.nextUrlValue = this.initialState.nextUrl
+    if (this.hasPageValue) this.pageValue = this.initialState.page
+
+    if (this.hasPaginationTarget) {
+      this.paginationTarget.hidden = false
     }
+
+    this.showStatus("")
+  }
+
+  scrolled() {
+    if (this.frame) return
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null
+      this.updateWindow()
+    })
+
+    // replaceState is rate limited by browsers, so only record once scrolling stops
+    clearTimeout(this.recordTimeout)
+    this.recordTimeout = setTimeout(() => this.recordState(), 150)
+  }
+
+  recordState() {
+    if (this.restoring) return
+
+    const infiniteScroll = {
+      ...history.state?.infiniteScroll,
+      [this.entriesTarget.id]: { pageCount: this.pageCount, scrollTop: this.scrollTop }
+    }
+
+    // Keep Turbo's restoration identifier alongside our state
+    history.replaceState({ ...history.state, infiniteScroll }, "", window.location.href)
+  }
+
+  // Swaps pages far outside the viewport for empty spacers of the same height,
+  // and puts them back as the user scrolls toward them
+  updateWindow() {
+    if (!this.windowedValue) return
+
+    const viewport = this.scrollRoot?.getBoundingClientRect() || { top: 0, bottom: window.innerHeight }
+    const top = viewport.top - this.windowMarginValue
+    const bottom = viewport.bottom + this.windowMarginValue
+
+    for (let page = 1; page <= this.pageCount; page++) {
+      const detached = this.detachedPages.get(page)
+
+      if (detached) {
+        const rect = detached.spacer.getBoundingClientRect()
+        if (rect.bottom > top && rect.top < bottom) this.attachPage(page)
+      } else {
+        const elements = this.pageElements(page)
+        if (elements.length === 0) continue
+
+        const pageTop = elements[0].getBoundingClientRect().top
+        const pageBottom = elements.at(-1).getBoundingClientRect().bottom
+        if (pageBottom < top || pageTop > bottom) this.detachPage(page, elements, pageBottom - pageTop)
+      }
+    }
+  }
+
+  detachPage(page, elements, height) {
+    // Same tag as the rows it replaces, so it stays valid inside a <tbody>
+    const spacer = document.createElement(elements[0].tagName)
+    spacer.dataset.infiniteScrollSpacer = page
+    spacer.setAttribute("aria-hidden", "true")
+    spacer.style.height = `${height}px`
+
+    elements[0].before(spacer)
+    elements.forEach(element => element.remove())
+    this.detachedPages.set(page, { spacer, elements })
+  }
+
+  attachPage(page) {
+    const detached = this.detachedPages.get(page)
+    if (!detached) return
+
+    detached.spacer.replaceWith(...detached.elements)
+    this.detachedPages.delete(page)
+  }
+
+  markPage(elements, page) {
+    elements.forEach(element => { element.dataset.infiniteScrollPage = page })
+  }
+
+  pageElements(page) {
+    const selector = page ? `:scope > [data-infinite-scroll-page="${page}"]` : ":scope > [data-infinite-scroll-page]"
+    return [...this.entriesTarget.querySelectorAll(selector)]
+  }
+
+  observeSentinel() {
+    if (!this.observer || this.done || !this.hasPaginationTarget) return
+
+    // Re-observing fires the callback again if the sentinel is already in view
+    this.observer.disconnect()
+    this.observer.observe(this.paginationTarget)
+  }
+
+  // Link: <https://example.com/posts?cursor=abc>; rel="next"
+  linkHeaderNext(response) {
+    const header = response.headers.get("Link") || ""
+    const match = header.split(",").find(link => /rel="?next"?/.test(link))?.match(/<([^>]+)>/)
+
+    return match?.[1]
+  }
+
+  nextLinkIn(root) {
+    const link = root.querySelector("[data-infinite-scroll-target='pagination'] a[rel='next'], [data-infinite-scroll-target='pagination'][data-next-url]")
+    if (!link) return null
+
+    return link.dataset.nextUrl || link.getAttribute("href")
+  }
+
+  get nextPageUrl() {
+    if (this.nextUrlValue) return this.nextUrlValue
+    if (!this.hasPageValue || this.done) return null
+
+    const url = new URL(window.location)
+    url.searchParams.set("page", this.pageValue + 1)
+    return url.toString()
+  }
+
+  get scrollRoot() {
+    return this.rootValue ? document.querySelector(this.rootValue) : null
+  }
+
+  get scrollSource() {
+    return this.scrollRoot || window
+  }
+
+  get scrollTop() {
+    return this.scrollRoot ? this.scrollRoot.scrollTop : window.scrollY
+  }
+
+  disconnect() {
+    this.observer?.disconnect()
+    this.scrollSource.removeEventListener("scroll", this.scrolled)
+    document.removeEventListener("turbo:before-cache", this.reset)
+    cancelAnimationFrame(this.frame)
+    clearTimeout(this.recordTimeout)
+
+    // A stale id would stop scrolled() from scheduling after a reconnect
+    this.frame = null
   }
 }
 
-// Usage:
-// <div data-controller="infinite-scroll"
-//      data-infinite-scroll-page-value="1"
-//      data-action="scroll@window->infinite-scroll#scroll:throttle(200)">
-//   <div id="entries" data-infinite-scroll-target="entries">
+// Usage (cursor pagination, HTML response):
+// <div data-controller="infinite-scroll">
+//   <div id="products" data-infinite-scroll-target="entries">
 //     <%= render @products %>
 //   </div>
-//   <div data-infinite-scroll-target="pagination">Loading more...</div>
+//   <div data-infinite-scroll-target="pagination">
+//     <%= link_to t(".load_more"), products_path(cursor: @next_cursor), rel: "next" if @next_cursor %>
+//   </div>
+//   <%# Filled with infinite_scroll.loading, .error and .finished from the i18n dictionary %>
+//   <p data-infinite-scroll-target="status" role="status"></p>
+// </div>
+//
+// Inside a scrollable container:
+// <div id="sidebar" class="overflow-y-auto h-96">
+//   <div data-controller="infinite-scroll" data-infinite-scroll-root-value="#sidebar">
+//     ...
+//   </div>
+// </div>
+//
+// Long admin tables keep only the pages near the viewport in the DOM:
+// <div data-controller="infinite-scroll" data-infinite-scroll-windowed-value="true">
+//   <table>
+//     <tbody id="orders" data-infinite-scroll-target="entries">
+//       <%= render @orders %>
+//     </tbody>
+//   </table>
+//   <div data-infinite-scroll-target="pagination">...</div>
 // </div>
+//
+// Turbo Stream responses append the entries and replace the sentinel:
+//
+// <%# app/views/products/index.turbo_stream.erb %>
+// <%= turbo_stream.append "products", @products %>
+// <%= turbo_stream.replace "products_pagination" do %>
+//   <div id="products_pagination"
+//        data-infinite-scroll-target="pagination"
+//        data-next-url="<%= products_path(cursor: @next_cursor) if @next_cursor %>">
+//   </div>
+// <% end %>
+//
+// Or send the next cursor in a Link header from the controller:
+// response.set_header("Link", %(<#{products_url(cursor: @next_cursor)}>; rel="next")) if @next_cursor
@@ -1,14 +1,76 @@
-// Modal Dialog Controller
+// Modal Dialog Controller with Native <dialog>, Focus Management, Stacking
+// and Turbo Frame Loading
 //
 // app/javascript/controllers/modal_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+
+const FOCUSABLE = "a[href], area[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex='-1'])"
+
+// Open modals across every controller instance, topmost last
+const stack = []
 
 export default class extends Controller {
-  static targets = ["container"]
+  static targets = ["dialog", "frame"]
+  static values = { returnUrl: String }
+
+  // Bound once, since frameTargetConnected runs before connect() and again
+  // for every frame that replaces the last one
+  initialize() {
+    this.cancel = this.cancel.bind(this)
+    this.closed = this.closed.bind(this)
+    this.trapFocus = this.trapFocus.bind(this)
+    this.reset = this.reset.bind(this)
+    this.frameLoaded = this.frameLoaded.bind(this)
+    this.submitEnded = this.submitEnded.bind(this)
+    this.beforeFrameRender = this.beforeFrameRender.bind(this)
+  }
+
+  connect() {
+    this.dialogTarget.setAttribute("aria-modal", "true")
+    this.dialogTarget.addEventListener("cancel", this.cancel)
+    this.dialogTarget.addEventListener("close", this.closed)
+    document.addEventListener("turbo:before-cache", this.reset)
+
+    // Deep link: the server rendered the page with the modal's content in place
+    if (this.frameHasContent) {
+      this.open()
+    }
+  }
+
+  frameTargetConnected(frame) {
+    frame.addEventListener("turbo:frame-load", this.frameLoaded)
+    frame.addEventListener("turbo:submit-end", this.submitEnded)
+    frame.addEventListener("turbo:before-frame-render", this.beforeFrameRender)
+  }
+
+  frameTargetDisconnected(frame) {
+    frame.removeEventListener("turbo:frame-load", this.frameLoaded)
+    frame.removeEventListener("turbo:submit-end", this.submitEnded)
+    frame.removeEventListener("turbo:before-frame-render", this.beforeFrameRender)
+  }
 
   open() {
-    this.containerTarget.classList.remove("hidden")
-    document.body.classList.add("overflow-hidden")
+    if (this.isOpen) return
+
+    const event = this.dispatch("open", { cancelable: true })
+    if (event.defaultPrevented) return
+
+    this.trigger = document.activeElement
+    this.leaving = false
+
+    if (this.supportsDialog) {
+      // Native modal dialogs trap focus and make the rest of the page inert
+      this.dialogTarget.showModal()
+    } else {
+      this.dialogTarget.setAttribute("open", "")
+      this.makeBackgroundInert()
+      this.dialogTarget.addEventListener("keydown", this.trapFocus)
+      this.focusFirst()
+    }
+
+    stack.push(this)
+    this.updateScrollLock()
   }
 
   close(event) {
@@ -16,41 +78,269 @@ export default class extends Controller {
       event.preventDefault()
     }
 
-    this.containerTarget.classList.add("hidden")
-    document.body.classList.remove("overflow-hidden")
+    if (!this.isOpen) return
+
+    // Stacked modals above this one close first, in order
+    while (stack.at(-1) !== this) {
+      if (!stack.at(-1).close()) return false
+    }
+
+    const closeEvent = this.dispatch("close", { cancelable: true })
+    if (closeEvent.defaultPrevented) return false
+
+    if (this.supportsDialog) {
+      this.dialogTarget.close()
+    } else {
+      this.dialogTarget.removeAttribute("open")
+    }
+
+    // Native dialogs fire "close" on a later task, so the stack is updated
+    // here; closed() ignores that event once the modal is off the stack
+    this.closed()
+
+    return true
   }
 
-  // Close on background click
+  // Close on background click; the backdrop belongs to the <dialog> itself
   closeBackground(event) {
-    if (event.target === this.containerTarget) {
+    if (event.target === this.dialogTarget) {
       this.close()
     }
   }
 
-  // Close on escape key
-  closeWithKeyboard(event) {
-    if (event.key === "Escape") {
+  // Escape fires "cancel" on the topmost native dialog only
+  cancel(event) {
+    event.preventDefault()
+    this.close()
+  }
+
+  // Runs once the dialog closes, from close() or from the dialog's own close
+  // event, e.g. through <form method="dialog">
+  closed({ restoreUrl = true } = {}) {
+    const index = stack.indexOf(this)
+    if (index === -1) return
+
+    stack.splice(index, 1)
+    this.dialogTarget.removeEventListener("keydown", this.trapFocus)
+    this.restoreBackground()
+    this.updateScrollLock()
+
+    if (this.trigger?.isConnected) {
+      this.trigger.focus()
+    }
+    this.trigger = null
+
+    if (this.hasFrameTarget && restoreUrl && !this.leaving) {
+      this.restoreUrl()
+      this.clearFrame()
+    }
+  }
+
+  // A link or form targeting the frame loaded new content
+  frameLoaded() {
+    if (this.isOpen || !this.frameHasContent) return
+
+    // Turbo pushes the frame's URL after this event when the link uses
+    // data-turbo-action="advance", so this is still the page's own URL
+    this.urlBeforeOpen = window.location.href
+    this.open()
+  }
+
+  // Close once a form inside the frame succeeds; failed submissions
+  // re-render the form in place
+  submitEnded({ detail: { success, fetchResponse } }) {
+    if (!success) return
+
+    if (fetchResponse.redirected) {
+      this.leaving = true
       this.close()
+
+      Turbo.visit(fetchResponse.location, {
+        action: this.urlBeforeOpen && this.urlBeforeOpen !== window.location.href ? "replace" : "advance"
+      })
+    } else {
+      // Turbo Stream responses update the page around the modal
+      this.close()
+    }
+  }
+
+  // The redirect is followed with a full visit instead of inside the frame.
+  // Skipping its render ends the redirect, so later frame loads render again.
+  beforeFrameRender(event) {
+    if (this.leaving) {
+      event.preventDefault()
+      this.leaving = false
+    }
+  }
+
+  // Don't cache an open modal in Turbo's page snapshot. The URL already
+  // belongs to the page being visited, so it stays as it is.
+  reset() {
+    if (this.isOpen) {
+      if (this.supportsDialog && this.dialogTarget.open) this.dialogTarget.close()
+      this.closed({ restoreUrl: false })
+    }
+
+    if (this.hasFrameTarget) {
+      this.clearFrame()
     }
   }
 
+  // Takes the URL back to the page behind the modal, so a refresh doesn't reopen it
+  restoreUrl() {
+    const url = this.urlBeforeOpen || this.returnUrlValue
+    this.urlBeforeOpen = null
+
+    if (url && url !== window.location.href) {
+      history.replaceState(history.state, "", url)
+    }
+  }
+
+  clearFrame() {
+    this.frameTarget.removeAttribute("src")
+    this.frameTarget.replaceChildren()
+  }
+
+  // Fallback focus trap for browsers without showModal()
+  trapFocus(event) {
+    if (event.key === "Escape" && stack.at(-1) === this) {
+      event.preventDefault()
+      this.close()
+      return
+    }
+
+    if (event.key !== "Tab") return
+
+    const focusable = this.focusableElements
+    if (focusable.length === 0) {
+      event.preventDefault()
+      return
+    }
+
+    const first = focusable[0]
+    const last = focusable.at(-1)
+
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault()
+      last.focus()
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault()
+      first.focus()
+    }
+  }
+
+  focusFirst() {
+    const target = this.dialogTarget.querySelector("[autofocus]") || this.focusableElements[0]
+
+    if (target) {
+      target.focus()
+    } else {
+      this.dialogTarget.setAttribute("tabindex", "-1")
+      this.dialogTarget.focus()
+    }
+  }
+
+  // Marks every sibling along the path from the dialog up to <body> as inert
+  makeBackgroundInert() {
+    this.inerted = []
+
+    let element = this.dialogTarget
+    while (element && element !== document.body) {
+      for (const sibling of element.parentElement?.children || []) {
+        if (sibling !== element && !sibling.inert) {
+          sibling.inert = true
+          this.inerted.push(sibling)
+        }
+      }
+      element = element.parentElement
+    }
+  }
+
+  restoreBackground() {
+    this.inerted?.forEach(element => { element.inert = false })
+    this.inerted = null
+  }
+
+  updateScrollLock() {
+    document.body.classList.toggle("overflow-hidden", stack.length > 0)
+  }
+
+  get frameHasContent() {
+    return this.hasFrameTarget && this.frameTarget.children.length > 0
+  }
+
+  get isOpen() {
+    return stack.includes(this)
+  }
+
+  get supportsDialog() {
+    return typeof this.dialogTarget.showModal === "function"
+  }
+
+  get focusableElements() {
+    return [...this.dialogTarget.querySelectorAll(FOCUSABLE)].filter(element => !element.closest("[inert]"))
+  }
+
   disconnect() {
-    document.body.classList.remove("overflow-hidden")
+    if (this.isOpen) {
+      if (this.supportsDialog && this.dialogTarget.open) this.dialogTarget.close()
+      this.closed()
+    }
+
+    this.dialogTarget.removeEventListener("cancel", this.cancel)
+    this.dialogTarget.removeEventListener("close", this.closed)
+    document.removeEventListener("turbo:before-cache", this.reset)
   }
 }
 
 // Usage:
-// <%= turbo_frame_tag "modal",
-//                     data: {
-//                       controller: "modal",
-//                       action: "keyup@window->modal#closeWithKeyboard"
-//                     } do %>
-//   <div data-modal-target="container"
-//        data-action="click->modal#closeBackground"
-//        class="hidden">
+// <div data-controller="modal">
+//   <button data-action="modal#open">Edit product</button>
+//
+//   <dialog data-modal-target="dialog"
+//           aria-labelledby="edit-product-title"
+//           data-action="click->modal#closeBackground">
 //     <div class="modal-content">
-//       <%= yield %>
+//       <h2 id="edit-product-title">Edit product</h2>
+//       <%= render "form", product: @product %>
 //       <button data-action="modal#close">Close</button>
 //     </div>
-//   </div>
+//   </dialog>
+// </div>
+//
+// Remote modal, mounted once in the layout. Links targeting the "modal" frame
+// open it, and a successful form submission inside closes it:
+//
+// <%# app/views/layouts/application.html.erb %>
+// <div data-controller="modal" data-modal-return-url-value="<%= @modal_return_url %>">
+//   <dialog data-modal-target="dialog" data-action="click->modal#closeBackground">
+//     <%= turbo_frame_tag "modal", data: { modal_target: "frame" } do %>
+//       <%= yield :modal %>
+//     <% end %>
+//     <button data-action="modal#close">Close</button>
+//   </dialog>
+// </div>
+//
+// <%= link_to "Edit", edit_product_path(@product), data: { turbo_frame: "modal" } %>
+//
+// Add turbo_action: "advance" to push the modal's URL, so Back closes it and
+// the URL deep-links to it. The deep-linked page renders its content into the
+// frame, and the controller opens it on connect:
+//
+// <%= link_to "Edit", edit_product_path(@product),
+//             data: { turbo_frame: "modal", turbo_action: "advance" } %>
+//
+// <%# app/views/products/edit.html.erb %>
+// <% @modal_return_url = product_path(@product) %>
+// <% content_for :modal do %>
+//   <%= render "form", product: @product %>
 // <% end %>
+//
+// modal:open and modal:close can be cancelled, e.g. to keep a modal with
+// unsaved changes open:
+//
+// document.addEventListener("modal:close", event => {
+//   if (event.target.querySelector("form.dirty") && !window.confirm("Discard changes?")) {
+//     event.preventDefault()
+//   }
+// })
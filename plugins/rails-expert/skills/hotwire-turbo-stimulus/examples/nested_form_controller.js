@@ -1,54 +1,298 @@
-// Nested Form Controller (Dynamic Fields)
+// Nested Form Controller (Dynamic, Sortable Fields with Undo)
 //
 // app/javascript/controllers/nested_form_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { t } from "helpers/i18n"
+
+// Shared by every instance so rows added in the same millisecond never collide
+let sequence = 0
 
 export default class extends Controller {
-  static targets = ["container", "template"]
+  static targets = ["container", "template", "undoTemplate", "addButton", "removeButton"]
+  static values = {
+    placeholder: { type: String, default: "NEW_RECORD" },
+    wrapperSelector: { type: String, default: ".nested-fields" },
+    min: { type: Number, default: 0 },
+    max: { type: Number, default: Infinity }
+  }
+
+  connect() {
+    this.update()
+  }
 
   add(event) {
     event.preventDefault()
 
-    const content = this.templateTarget.innerHTML.replace(/NEW_RECORD/g, new Date().getTime())
+    if (this.visibleRows.length >= this.maxValue) return
+
+    // Only this level's placeholder is replaced; templates for deeper
+    // associations keep theirs until their own controller adds a row
+    const placeholder = new RegExp(this.placeholderValue.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "g")
+    const content = this.templateTarget.innerHTML.replace(placeholder, this.nextIndex())
+
     this.containerTarget.insertAdjacentHTML("beforeend", content)
+    const row = this.containerTarget.lastElementChild
+
+    this.update()
+    this.focusFirstField(row)
+    this.dispatch("added", { detail: { row } })
   }
 
+  // Hides the row behind an inline "Undo" until the form is submitted
   remove(event) {
     event.preventDefault()
 
-    const item = event.target.closest(".nested-fields")
+    if (this.visibleRows.length <= this.minValue) return
+
+    const item = this.rowFor(event.target)
 
-    // Mark for destruction if persisted
-    const destroyInput = item.querySelector("input[name*='_destroy']")
+    // Mark for destruction if persisted; new rows just stop being submitted
+    const destroyInput = this.ownField(item, "input[name$='[_destroy]']")
     if (destroyInput) {
       destroyInput.value = "1"
-      item.style.display = "none"
     } else {
-      item.remove()
+      this.fieldsIn(item).forEach(field => { field.disabled = true })
+    }
+
+    item.style.display = "none"
+
+    const undo = this.buildUndo()
+    item.after(undo)
+
+    this.update()
+    undo.querySelector("button")?.focus()
+    this.dispatch("removed", { detail: { row: item } })
+  }
+
+  restore(event) {
+    event.preventDefault()
+
+    if (this.visibleRows.length >= this.maxValue) return
+
+    const undo = event.target.closest("[data-nested-form-undo]")
+    const item = undo.previousElementSibling
+
+    const destroyInput = this.ownField(item, "input[name$='[_destroy]']")
+    if (destroyInput) {
+      destroyInput.value = "0"
+    } else {
+      this.fieldsIn(item).forEach(field => { field.disabled = false })
+    }
+
+    item.style.display = ""
+    undo.remove()
+
+    this.update()
+    this.focusFirstField(item)
+    this.dispatch("restored", { detail: { row: item } })
+  }
+
+  buildUndo() {
+    let undo
+
+    if (this.hasUndoTemplateTarget) {
+      undo = this.undoTemplateTarget.content.firstElementChild.cloneNode(true)
+    } else {
+      const button = document.createElement("button")
+      button.type = "button"
+      button.textContent = t("nested_form.undo", { default: "Undo" })
+
+      undo = document.createElement("div")
+      undo.setAttribute("role", "status")
+      undo.append(`${t("nested_form.removed", { default: "Item removed." })} `, button)
+    }
+
+    undo.dataset.nestedFormUndo = ""
+    undo.querySelector("button")?.setAttribute("data-action", "nested-form#restore")
+
+    return undo
+  }
+
+  // Keyboard reordering from a row's handle: Alt+ArrowUp / Alt+ArrowDown
+  moveWithKeyboard(event) {
+    if (!event.altKey || !["ArrowUp", "ArrowDown"].includes(event.key)) return
+
+    event.preventDefault()
+    this.move(event.target, event.key === "ArrowUp" ? -1 : 1)
+  }
+
+  moveUp(event) {
+    event.preventDefault()
+    this.move(event.target, -1)
+  }
+
+  moveDown(event) {
+    event.preventDefault()
+    this.move(event.target, 1)
+  }
+
+  move(element, offset) {
+    const row = this.rowFor(element)
+    if (!row) return
+
+    const rows = this.visibleRows
+    const sibling = rows[rows.indexOf(row) + offset]
+    if (!sibling) return
+
+    if (offset < 0) {
+      sibling.before(row)
+    } else {
+      // Skip past the sibling's "Undo" if it was removed
+      const next = sibling.nextElementSibling
+
+      if (next?.hasAttribute("data-nested-form-undo")) {
+        next.after(row)
+      } else {
+        sibling.after(row)
+      }
     }
+
+    element.focus()
+    this.update()
+  }
+
+  dragStart(event) {
+    this.draggedRow = this.rowFor(event.target)
+    if (!this.draggedRow) return
+
+    event.dataTransfer.effectAllowed = "move"
+    this.draggedRow.classList.add("dragging")
+  }
+
+  dragOver(event) {
+    if (!this.draggedRow) return
+
+    const row = this.rowFor(event.target)
+    if (!row || row === this.draggedRow) return
+
+    event.preventDefault()
+
+    // Drop above or below depending on which half of the row the pointer is over
+    const { top, height } = row.getBoundingClientRect()
+    if (event.clientY < top + height / 2) {
+      row.before(this.draggedRow)
+    } else {
+      row.after(this.draggedRow)
+    }
+  }
+
+  drop(event) {
+    if (this.draggedRow) event.preventDefault()
+  }
+
+  dragEnd() {
+    if (!this.draggedRow) return
+
+    this.draggedRow.classList.remove("dragging")
+    this.draggedRow = null
+    this.update()
+  }
+
+  // Writes positions and enforces the row limits
+  update() {
+    const rows = this.visibleRows
+
+    rows.forEach((row, index) => {
+      const position = this.ownField(row, "input[name$='[position]']")
+      if (position) position.value = index + 1
+    })
+
+    this.addButtonTargets.forEach(button => { button.disabled = rows.length >= this.maxValue })
+    this.removeButtonTargets.forEach(button => { button.disabled = rows.length <= this.minValue })
+  }
+
+  focusFirstField(row) {
+    const field = this.fieldsIn(row).find(field => field.type !== "hidden" && !field.disabled)
+    field?.focus()
+  }
+
+  fieldsIn(row) {
+    return [...row.querySelectorAll("input, select, textarea")]
+  }
+
+  nextIndex() {
+    sequence = (sequence + 1) % 1000
+    return Date.now() * 1000 + sequence
+  }
+
+  // The row directly inside this controller's container, not a deeper nested one
+  rowFor(element) {
+    let row = element.closest(this.wrapperSelectorValue)
+
+    while (row && row.parentElement !== this.containerTarget) {
+      row = row.parentElement.closest(this.wrapperSelectorValue)
+    }
+
+    return row
+  }
+
+  // A field that belongs to this row rather than to a row nested inside it
+  ownField(row, selector) {
+    return [...row.querySelectorAll(selector)].find(field => field.closest(this.wrapperSelectorValue) === row)
+  }
+
+  get visibleRows() {
+    return [...this.containerTarget.children].filter(row => {
+      return row.matches(this.wrapperSelectorValue) && row.style.display !== "none"
+    })
   }
 }
 
 // Usage:
-// <div data-controller="nested-form">
-//   <div data-nested-form-target="container">
+// <div data-controller="nested-form"
+//      data-nested-form-placeholder-value="NEW_LINE_ITEM"
+//      data-nested-form-min-value="1"
+//      data-nested-form-max-value="20">
+//   <div data-nested-form-target="container"
+//        data-action="dragstart->nested-form#dragStart dragover->nested-form#dragOver drop->nested-form#drop dragend->nested-form#dragEnd">
 //     <%= f.fields_for :line_items do |ff| %>
-//       <div class="nested-fields">
+//       <div class="nested-fields" draggable="true">
+//         <button type="button" aria-label="Reorder" data-action="keydown->nested-form#moveWithKeyboard">⠿</button>
 //         <%= ff.text_field :product_id %>
 //         <%= ff.number_field :quantity %>
+//         <%= ff.hidden_field :position %>
 //         <%= ff.hidden_field :_destroy %>
-//         <button data-action="nested-form#remove">Remove</button>
+//         <button type="button" data-nested-form-target="removeButton" data-action="nested-form#remove">Remove</button>
 //       </div>
 //     <% end %>
 //   </div>
 //
 //   <template data-nested-form-target="template">
-//     <div class="nested-fields">
-//       <input name="order[line_items_attributes][NEW_RECORD][product_id]">
-//       <input name="order[line_items_attributes][NEW_RECORD][quantity]">
-//       <button data-action="nested-form#remove">Remove</button>
+//     <div class="nested-fields" draggable="true">
+//       <button type="button" aria-label="Reorder" data-action="keydown->nested-form#moveWithKeyboard">⠿</button>
+//       <input name="order[line_items_attributes][NEW_LINE_ITEM][product_id]">
+//       <input name="order[line_items_attributes][NEW_LINE_ITEM][quantity]">
+//       <input type="hidden" name="order[line_items_attributes][NEW_LINE_ITEM][position]">
+//       <button type="button" data-nested-form-target="removeButton" data-action="nested-form#remove">Remove</button>
+//
+//       <%# An association inside the association gets its own controller and placeholder %>
+//       <div data-controller="nested-form" data-nested-form-placeholder-value="NEW_OPTION">
+//         <div data-nested-form-target="container"></div>
+//         <template data-nested-form-target="template">
+//           <div class="nested-fields">
+//             <input name="order[line_items_attributes][NEW_LINE_ITEM][options_attributes][NEW_OPTION][name]">
+//             <button type="button" data-action="nested-form#remove">Remove</button>
+//           </div>
+//         </template>
+//         <button type="button" data-action="nested-form#add">Add Option</button>
+//       </div>
 //     </div>
 //   </template>
 //
-//   <button data-action="nested-form#add">Add Line Item</button>
+//   <template data-nested-form-target="undoTemplate">
+//     <div class="nested-fields-undo" role="status">
+//       Line item removed. <button type="button">Undo</button>
+//     </div>
+//   </template>
+//
+//   <button type="button" data-nested-form-target="addButton" data-action="nested-form#add">Add Line Item</button>
 // </div>
+//
+// Other controllers can react to rows changing, e.g. to recalculate totals:
+// <div data-controller="nested-form order-total"
+//      data-action="nested-form:added->order-total#recalculate nested-form:removed->order-total#recalculate nested-form:restored->order-total#recalculate">
+//
+// class Order < ApplicationRecord
+//   has_many :line_items, -> { order(:position) }
+//   accepts_nested_attributes_for :line_items, allow_destroy: true
+// end
@@ -0,0 +1,203 @@
+// Notifications Controller (Toasts and Flash Messages)
+//
+// app/javascript/controllers/notifications_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { t } from "helpers/i18n"
+
+// Rails flash keys map onto the four severity levels
+const LEVELS = {
+  success: "success",
+  info: "info",
+  notice: "info",
+  warning: "warning",
+  alert: "error",
+  error: "error"
+}
+
+export default class extends Controller {
+  static targets = ["template", "toast"]
+  static values = {
+    duration: { type: Number, default: 5000 },
+    max: { type: Number, default: 5 }
+  }
+
+  // Stimulus connects targets before the controller, so flashes rendered with
+  // the layout need the timers in place before connect()
+  initialize() {
+    // Toast element => { timer, remaining, startedAt }
+    this.timers = new Map()
+
+    this.notified = this.notified.bind(this)
+    this.pause = this.pause.bind(this)
+    this.resume = this.resume.bind(this)
+    this.clear = this.clear.bind(this)
+  }
+
+  connect() {
+    document.addEventListener("notifications:notify", this.notified)
+    document.addEventListener("turbo:before-cache", this.clear)
+    this.element.addEventListener("pointerenter", this.pause)
+    this.element.addEventListener("pointerleave", this.resume)
+    this.element.addEventListener("focusin", this.pause)
+    this.element.addEventListener("focusout", this.resume)
+  }
+
+  // From any controller:
+  // this.dispatch("notify", { prefix: "notifications", detail: { message: "Saved", level: "success" } })
+  notified({ detail: { message, level = "info", duration } }) {
+    if (message) this.show(message, { level, duration })
+  }
+
+  show(message, { level = "info", duration } = {}) {
+    const toast = this.build(message, level)
+    if (duration !== undefined) toast.dataset.duration = duration
+
+    // toastTargetConnected picks it up, like a toast appended by a Turbo Stream
+    this.element.append(toast)
+  }
+
+  // Server-rendered flashes, Turbo Stream appends and toasts from show() all arrive here
+  toastTargetConnected(toast) {
+    const level = LEVELS[toast.dataset.level] || "info"
+    toast.dataset.level = level
+
+    // Errors interrupt; everything else waits its turn
+    toast.setAttribute("role", level === "error" ? "alert" : "status")
+
+    // Errors stay until dismissed, unless the toast sets its own duration
+    let duration = level === "error" ? 0 : this.durationValue
+    if (toast.dataset.duration !== undefined) duration = Number(toast.dataset.duration)
+
+    if (duration > 0) {
+      this.timers.set(toast, { remaining: duration })
+      if (!this.paused) this.startTimer(toast)
+    }
+
+    // Oldest first out when the stack is full
+    const excess = this.toastTargets.length - this.maxValue
+    this.toastTargets.slice(0, Math.max(0, excess)).forEach(old => this.remove(old))
+  }
+
+  toastTargetDisconnected(toast) {
+    clearTimeout(this.timers.get(toast)?.timer)
+    this.timers.delete(toast)
+  }
+
+  dismiss(event) {
+    const toast = event.target.closest("[data-notifications-target~='toast']")
+    if (toast) this.remove(toast)
+  }
+
+  remove(toast) {
+    toast.remove()
+    this.dispatch("dismissed", { detail: { toast } })
+  }
+
+  // Hovering or focusing the stack holds every timer, so nothing disappears
+  // while it's being read
+  pause() {
+    if (this.paused) return
+    this.paused = true
+
+    this.timers.forEach(state => {
+      clearTimeout(state.timer)
+
+      // Toasts that arrived while paused haven't started counting yet
+      if (state.startedAt) state.remaining -= Date.now() - state.startedAt
+      state.startedAt = null
+    })
+  }
+
+  resume(event) {
+    if (event?.type === "focusout" && this.element.contains(event.relatedTarget)) return
+    if (event?.type === "focusout" && this.element.matches(":hover")) return
+    if (event?.type === "pointerleave" && this.element.contains(document.activeElement)) return
+    if (!this.paused) return
+
+    this.paused = false
+    this.timers.forEach((state, toast) => this.startTimer(toast))
+  }
+
+  startTimer(toast) {
+    const state = this.timers.get(toast)
+
+    state.startedAt = Date.now()
+    state.timer = setTimeout(() => this.remove(toast), Math.max(0, state.remaining))
+  }
+
+  // Don't bring old flashes back from Turbo's page cache
+  clear() {
+    this.toastTargets.forEach(toast => toast.remove())
+  }
+
+  build(message, level) {
+    let toast
+
+    if (this.hasTemplateTarget) {
+      toast = this.templateTarget.content.firstElementChild.cloneNode(true)
+      const slot = toast.querySelector("[data-notifications-message]") || toast
+      slot.textContent = message
+    } else {
+      const close = document.createElement("button")
+      close.type = "button"
+      close.dataset.action = "notifications#dismiss"
+      close.setAttribute("aria-label", t("notifications.dismiss", { default: "Dismiss" }))
+      close.textContent = "×"
+
+      const text = document.createElement("p")
+      text.textContent = message
+
+      toast = document.createElement("div")
+      toast.append(text, close)
+    }
+
+    toast.dataset.notificationsTarget = "toast"
+    toast.dataset.level = level
+
+    return toast
+  }
+
+  disconnect() {
+    this.timers.forEach(state => clearTimeout(state.timer))
+    this.timers.clear()
+
+    document.removeEventListener("notifications:notify", this.notified)
+    document.removeEventListener("turbo:before-cache", this.clear)
+    this.element.removeEventListener("pointerenter", this.pause)
+    this.element.removeEventListener("pointerleave", this.resume)
+    this.element.removeEventListener("focusin", this.pause)
+    this.element.removeEventListener("focusout", this.resume)
+  }
+}
+
+// Usage, mounted once in the layout:
+// <%# app/views/layouts/application.html.erb %>
+// <div id="notifications" class="toasts" data-controller="notifications" aria-live="polite">
+//   <% flash.each do |level, message| %>
+//     <%= render "shared/toast", level: level, message: message %>
+//   <% end %>
+//
+//   <template data-notifications-target="template">
+//     <div class="toast">
+//       <p data-notifications-message></p>
+//       <button type="button" data-action="notifications#dismiss" aria-label="<%= t("notifications.dismiss") %>">×</button>
+//     </div>
+//   </template>
+// </div>
+//
+// <%# app/views/shared/_toast.html.erb %>
+// <div class="toast" data-notifications-target="toast" data-level="<%= level %>">
+//   <p><%= message %></p>
+//   <button type="button" data-action="notifications#dismiss" aria-label="<%= t("notifications.dismiss") %>">×</button>
+// </div>
+//
+// Flash from a Turbo Stream response:
+// flash.now[:notice] = "Product created"
+// render turbo_stream: turbo_stream.append("notifications", partial: "shared/toast",
+//                                          locals: { level: :notice, message: flash.now[:notice] })
+//
+// Style each level:
+// .toast[data-level="success"] { border-color: green; }
+// .toast[data-level="error"] { border-color: red; }
+//
+// remote-form, autosave and clipboard report here when given data-*-notify-value="true"
@@ -1,68 +1,310 @@
-// Ajax Form Submission Controller
+// Ajax Form Submission Controller with Client Validation, Field Errors,
+// Upload Progress and Response Negotiation
 //
 // app/javascript/controllers/remote_form_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { request } from "helpers/request"
+import { t } from "helpers/i18n"
+
+// English fallbacks for remote_form.* in the page's i18n dictionary
+const MESSAGES = {
+  submitting: "Submitting...",
+  success: "Saved.",
+  error: "An error occurred. Please try again."
+}
 
 export default class extends Controller {
-  static targets = ["submit", "errors"]
-  static values = { url: String }
+  static targets = ["submit", "errors", "error", "progress"]
+  static values = {
+    url: String,
+    paramKey: String,
+    messages: Object,
+    notify: { type: Boolean, default: false }
+  }
+  static classes = ["fieldError"]
+
+  connect() {
+    // Constraint Validation still runs; the messages are rendered by this controller
+    this.element.noValidate = true
+  }
 
   async submit(event) {
     event.preventDefault()
 
+    this.clearErrors()
+
+    if (!this.validate()) return
+
     const formData = new FormData(this.element)
     this.disableSubmit()
-    this.clearErrors()
 
     try {
-      const response = await fetch(this.urlValue, {
+      const response = await request(this.url, {
         method: this.element.method,
         body: formData,
-        headers: {
-          "X-CSRF-Token": this.csrfToken,
-          "Accept": "application/json"
-        }
+        accept: ["turbo-stream", "json", "html"],
+        // fetch can't report upload progress, so forms with files go through XHR
+        onUploadProgress: this.tracksProgress ? event => this.updateProgress(event) : null,
+        element: this.element,
+        prefix: this.identifier
       })
 
-      const data = await response.json()
-
-      if (response.ok) {
-        this.handleSuccess(data)
-      } else {
-        this.handleErrors(data.errors)
-      }
+      this.handleResponse(response)
     } catch (error) {
       this.handleError(error)
     } finally {
       this.enableSubmit()
+      this.resetProgress()
+    }
+  }
+
+  handleResponse(response) {
+    const { ok, status, redirected, url, kind, body } = response
+
+    if (kind === "turbo-stream") {
+      // Failed submissions stream their validation errors into the page
+      Turbo.renderStreamMessage(body)
+
+      if (ok) {
+        this.handleSuccess({})
+      }
+    } else if (redirected) {
+      // fetch and XHR follow redirects on their own; hand the final URL to Turbo
+      this.handleSuccess({ url })
+      Turbo.visit(url)
+    } else if (kind === "json") {
+      const data = response.json() || {}
+
+      if (ok) {
+        this.handleSuccess(data)
+      } else if (data.errors) {
+        this.handleErrors(data.errors)
+      } else {
+        throw new Error(`Request failed with status ${status}`)
+      }
+    } else if (kind === "html") {
+      this.handleHtml(response)
+    } else if (ok) {
+      this.handleSuccess({})
+    } else {
+      throw new Error(`Request failed with status ${status}`)
+    }
+  }
+
+  // An HTML response either re-renders this form (typically a 422) or is an error page
+  handleHtml({ ok, status, body }) {
+    const doc = new DOMParser().parseFromString(body, "text/html")
+    const form = this.element.id && doc.getElementById(this.element.id)
+
+    if (form) {
+      this.element.replaceWith(form)
+    } else if (ok) {
+      this.handleSuccess({ html: body })
+    } else {
+      throw new Error(`Request failed with status ${status}`)
     }
   }
 
+  // Clears a field's error as soon as it's fixed
+  fieldChanged(event) {
+    const field = event.target
+    if (!field.name || field.getAttribute("aria-invalid") !== "true") return
+
+    this.clearFieldError(field)
+
+    if (!field.checkValidity()) {
+      this.showFieldError(field, [field.validationMessage])
+    }
+  }
+
+  // Runs the browser's Constraint Validation (required, type, pattern, ...)
+  validate() {
+    const invalid = this.fields.filter(field => !field.checkValidity())
+
+    invalid.forEach(field => this.showFieldError(field, [field.validationMessage]))
+    invalid[0]?.focus()
+
+    return invalid.length === 0
+  }
+
   handleSuccess(data) {
     // Reset form or redirect
     this.element.reset()
     this.dispatch("success", { detail: data })
+    this.notify(this.message("success"), "success")
   }
 
-  handleErrors(errors) {
-    if (this.hasErrorsTarget) {
-      const html = Object.entries(errors)
-        .map(([field, messages]) => `<li>${field}: ${messages.join(", ")}</li>`)
-        .join("")
-      this.errorsTarget.innerHTML = `<ul>${html}</ul>`
+  // errors: { "name": ["can't be blank"], "line_items[0].quantity": ["must be greater than 0"], "base": [...] }
+  handleErrors(errors = {}) {
+    const unmapped = []
+
+    Object.entries(errors).forEach(([attribute, messages]) => {
+      const fields = attribute === "base" ? [] : this.fieldsFor(attribute)
+
+      if (fields.length > 0) {
+        fields.forEach(field => this.showFieldError(field, messages))
+      } else {
+        messages.forEach(message => unmapped.push(attribute === "base" ? message : `${this.humanize(attribute)} ${message}`))
+      }
+    })
+
+    if (unmapped.length > 0 && this.hasErrorsTarget) {
+      const list = document.createElement("ul")
+
+      unmapped.forEach(message => {
+        const item = document.createElement("li")
+        item.textContent = message
+        list.append(item)
+      })
+
+      this.errorsTarget.replaceChildren(list)
     }
+
+    this.element.querySelector("[aria-invalid='true']")?.focus()
   }
 
+  // Listeners can cancel remote-form:error to show the failure their own way
   handleError(error) {
     console.error("Form submission failed:", error)
-    alert("An error occurred. Please try again.")
+
+    const event = this.dispatch("error", { detail: { error }, cancelable: true })
+    if (event.defaultPrevented) return
+
+    if (this.notifyValue) {
+      this.notify(this.message("error"), "error")
+    } else if (this.hasErrorTarget) {
+      this.errorTarget.textContent = this.message("error")
+      this.errorTarget.hidden = false
+    } else if (this.hasErrorsTarget) {
+      this.errorsTarget.textContent = this.message("error")
+    }
+  }
+
+  updateProgress({ lengthComputable, loaded, total }) {
+    if (!lengthComputable) return
+
+    const percent = Math.round((loaded / total) * 100)
+
+    if (this.hasProgressTarget) {
+      this.progressTarget.hidden = false
+      this.progressTarget.max = 100
+      this.progressTarget.value = percent
+      this.progressTarget.textContent = `${percent}%`
+    }
+
+    this.dispatch("progress", { detail: { loaded, total, percent } })
+  }
+
+  resetProgress() {
+    if (this.hasProgressTarget) {
+      this.progressTarget.hidden = true
+      this.progressTarget.value = 0
+    }
+  }
+
+  // The error id comes from the name, not the field's id, so every option of a
+  // radio or checkbox group shares one error element
+  showFieldError(field, messages) {
+    const id = `${field.name.replace(/\W+/g, "_").replace(/_+$/, "")}_error`
+    let errorElement = document.getElementById(id)
+
+    if (!errorElement) {
+      errorElement = document.createElement("p")
+      errorElement.id = id
+      errorElement.dataset.remoteFormFieldError = ""
+      if (this.hasFieldErrorClass) errorElement.classList.add(...this.fieldErrorClasses)
+
+      // Radio and checkbox groups get one message after the last option
+      const anchor = this.namedFields(field.name).at(-1)
+      anchor.after(errorElement)
+    }
+
+    // Messages are always text, never HTML
+    errorElement.textContent = messages.join(", ")
+
+    this.namedFields(field.name).forEach(input => {
+      input.setAttribute("aria-invalid", "true")
+      this.addDescribedBy(input, id)
+    })
+  }
+
+  clearFieldError(field) {
+    this.namedFields(field.name).forEach(input => {
+      const describedBy = (input.getAttribute("aria-describedby") || "").split(" ")
+      const errorId = describedBy.find(id => document.getElementById(id)?.hasAttribute("data-remote-form-field-error"))
+
+      if (errorId) {
+        document.getElementById(errorId).remove()
+        this.setDescribedBy(input, describedBy.filter(id => id !== errorId))
+      }
+
+      input.removeAttribute("aria-invalid")
+    })
+  }
+
+  // Maps an Active Model error key onto Rails param names:
+  //   "name"                   => product[name]
+  //   "category"               => product[category_id]
+  //   "line_items[0].quantity" => product[line_items_attributes][0][quantity]
+  //   "line_items.quantity"    => product[line_items_attributes][<any>][quantity]
+  // or, in a form without a model (form_with url: ...), onto bare names:
+  //   "name"                   => name
+  //   "category"               => category_id
+  fieldsFor(attribute) {
+    const segments = attribute.split(".")
+    const last = segments.pop()
+    const escape = string => string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+    let pattern = escape(this.paramKey)
+
+    // Every key is bracketed except the first one of an unscoped form
+    const key = name => (pattern ? `\\[${name}\\]` : name)
+
+    segments.forEach(segment => {
+      const [, association, index] = segment.match(/^(\w+)(?:\[(\d+)\])?$/) || [null, segment]
+      pattern += key(`${escape(association)}_attributes`) + (index ? `\\[${index}\\]` : "\\[[^\\]]+\\]")
+    })
+
+    const names = [new RegExp(`^${pattern}${key(escape(last))}(\\[\\])?$`), new RegExp(`^${pattern}${key(`${escape(last)}_ids?`)}(\\[\\])?$`)]
+
+    for (const name of names) {
+      const fields = this.fields.filter(field => name.test(field.name))
+      if (fields.length > 0) return fields
+    }
+
+    return []
+  }
+
+  namedFields(name) {
+    return this.fields.filter(field => field.name === name)
+  }
+
+  addDescribedBy(input, id) {
+    const ids = (input.getAttribute("aria-describedby") || "").split(" ").filter(Boolean)
+    if (!ids.includes(id)) this.setDescribedBy(input, [...ids, id])
+  }
+
+  setDescribedBy(input, ids) {
+    const value = ids.filter(Boolean).join(" ")
+
+    if (value) {
+      input.setAttribute("aria-describedby", value)
+    } else {
+      input.removeAttribute("aria-describedby")
+    }
+  }
+
+  humanize(attribute) {
+    const name = attribute.split(".").pop().replace(/_id$/, "").replace(/_/g, " ")
+    return name.charAt(0).toUpperCase() + name.slice(1)
   }
 
   disableSubmit() {
     if (this.hasSubmitTarget) {
       this.submitTarget.disabled = true
       this.originalText = this.submitTarget.textContent
-      this.submitTarget.textContent = "Submitting..."
+      this.submitTarget.textContent = this.message("submitting")
     }
   }
 
@@ -75,23 +317,102 @@ export default class extends Controller {
 
   clearErrors() {
     if (this.hasErrorsTarget) {
-      this.errorsTarget.innerHTML = ""
+      this.errorsTarget.replaceChildren()
     }
+
+    if (this.hasErrorTarget) {
+      this.errorTarget.textContent = ""
+      this.errorTarget.hidden = true
+    }
+
+    this.fields
+      .filter(field => field.getAttribute("aria-invalid") === "true")
+      .forEach(field => this.clearFieldError(field))
   }
 
-  get csrfToken() {
-    return document.querySelector("[name='csrf-token']").content
+  // Reports to the layout's notifications controller, when enabled
+  notify(message, level) {
+    if (this.notifyValue) {
+      this.dispatch("notify", { prefix: "notifications", detail: { message, level } })
+    }
+  }
+
+  message(key) {
+    return t(`remote_form.${key}`, { default: MESSAGES[key], override: this.messagesValue[key] })
+  }
+
+  get tracksProgress() {
+    return this.hasProgressTarget || [...this.element.querySelectorAll("input[type='file']")].some(input => input.files.length > 0)
+  }
+
+  get url() {
+    return this.urlValue || this.element.action
+  }
+
+  get fields() {
+    return [...this.element.elements].filter(field => field.name && field.willValidate !== undefined && field.type !== "submit")
+  }
+
+  // "product" for product[name], or "" when fields aren't scoped to a model.
+  // Array fields like tag_ids[] and nested *_attributes don't count. Set
+  // data-remote-form-param-key-value to override.
+  get paramKey() {
+    if (this.paramKeyValue) return this.paramKeyValue
+
+    const keys = this.fields.map(field => field.name.match(/^(\w+)\[[^\]]/)?.[1])
+    return keys.find(key => key && !key.endsWith("_attributes")) || ""
   }
 }
 
 // Usage:
-// <%= form_with url: products_path,
+// <%= form_with model: @product,
 //               data: {
 //                 controller: "remote-form",
 //                 remote_form_url_value: products_path,
-//                 action: "submit->remote-form#submit"
+//                 remote_form_field_error_class: "text-red-600 text-sm",
+//                 action: "submit->remote-form#submit input->remote-form#fieldChanged change->remote-form#fieldChanged"
 //               } do |f| %>
-//   <div data-remote-form-target="errors"></div>
-//   <%= f.text_field :name %>
+//   <div data-remote-form-target="errors" role="alert"></div>
+//
+//   <%= f.label :name %>
+//   <%= f.text_field :name, required: true, maxlength: 100 %>
+//
+//   <%= f.fields_for :line_items do |ff| %>
+//     <%= ff.number_field :quantity, min: 1 %>
+//   <% end %>
+//
+//   <%= f.file_field :images, multiple: true %>
+//   <progress data-remote-form-target="progress" max="100" hidden></progress>
+//
 //   <%= f.submit data: { remote_form_target: "submit" } %>
+//   <p data-remote-form-target="error" role="alert" hidden></p>
 // <% end %>
+//
+// Report success and failure as toasts through the notifications controller:
+// <%= form_with model: @product, data: { controller: "remote-form", remote_form_notify_value: true, ... } do |f| %>
+//
+// Any response format works: JSON errors are mapped onto fields, Turbo Streams
+// are rendered, redirects are followed with Turbo.visit, and an HTML response
+// containing a form with this form's id replaces it.
+//
+// Index nested errors so they map to the right row:
+//
+// class Product < ApplicationRecord
+//   has_many :line_items, index_errors: true
+//   accepts_nested_attributes_for :line_items
+// end
+//
+// def create
+//   @product = Product.new(product_params)
+//
+//   respond_to do |format|
+//     if @product.save
+//       format.turbo_stream
+//       format.json { render json: @product, status: :created }
+//       format.html { redirect_to @product }
+//     else
+//       format.json { render json: { errors: @product.errors }, status: :unprocessable_entity }
+//       format.html { render :new, status: :unprocessable_entity }
+//     end
+//   end
+// end
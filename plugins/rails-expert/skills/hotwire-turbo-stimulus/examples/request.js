@@ -0,0 +1,226 @@
+// Shared Request Helper for Fetch-Based Controllers
+//
+// app/javascript/helpers/request.js
+//
+// Pin it alongside the controllers:
+// # config/importmap.rb
+// pin_all_from "app/javascript/helpers", under: "helpers"
+
+const ACCEPT = {
+  "turbo-stream": "text/vnd.turbo-stream.html",
+  json: "application/json",
+  html: "text/html, application/xhtml+xml"
+}
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE", "OPTIONS"]
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504]
+
+// The csrf_meta_tags value, or null on pages that don't render it
+export function csrfToken() {
+  return document.querySelector("meta[name='csrf-token']")?.content || null
+}
+
+// Sends a request and resolves to a normalized response:
+//   { ok, status, redirected, url, headers, contentType, kind, body, json() }
+// where kind is "turbo-stream", "json", "html" or "other".
+//
+// HTTP errors resolve like any other response; only network failures,
+// timeouts and aborts reject. Options:
+//   method, body, headers   as for fetch
+//   accept                  response kinds to ask for, e.g. ["turbo-stream", "html"]
+//   signal                  an AbortSignal to cancel the request
+//   timeout                 milliseconds before giving up (0 waits forever)
+//   retries, retryDelay     retries with exponential backoff, idempotent methods only
+//   onUploadProgress        receives upload ProgressEvents (switches to XHR)
+//   element, prefix         dispatches <prefix>:request-start, -end and -error on element
+export async function request(url, options = {}) {
+  const {
+    method = "GET",
+    accept = ["html"],
+    retries = 2,
+    retryDelay = 500,
+    element,
+    prefix
+  } = options
+
+  const upperMethod = method.toUpperCase()
+  const maxRetries = IDEMPOTENT_METHODS.includes(upperMethod) ? retries : 0
+  const detail = { url: url.toString(), method: upperMethod }
+
+  dispatch(element, prefix, "request-start", detail)
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await send(url, { ...options, method: upperMethod, accept })
+
+        if (attempt < maxRetries && RETRYABLE_STATUSES.includes(response.status)) {
+          await wait(retryDelay * 2 ** attempt, options.signal)
+          continue
+        }
+
+        dispatch(element, prefix, "request-end", { ...detail, response })
+        return response
+      } catch (error) {
+        if (error.name === "AbortError" || attempt >= maxRetries) throw error
+
+        await wait(retryDelay * 2 ** attempt, options.signal)
+      }
+    }
+  } catch (error) {
+    // Aborting is deliberate, not a failure
+    if (error.name !== "AbortError") {
+      dispatch(element, prefix, "request-error", { ...detail, error })
+    }
+    dispatch(element, prefix, "request-end", { ...detail, error })
+
+    throw error
+  }
+}
+
+async function send(url, { method, body, headers = {}, accept, signal, timeout = 0, onUploadProgress }) {
+  const requestHeaders = {
+    "Accept": accept.map(kind => ACCEPT[kind] || kind).join(", "),
+    "X-Requested-With": "XMLHttpRequest",
+    ...headers
+  }
+
+  const token = csrfToken()
+  if (token && method !== "GET" && method !== "HEAD" && isSameOrigin(url)) {
+    requestHeaders["X-CSRF-Token"] = token
+  }
+
+  // One controller for the caller's signal and the timeout
+  const controller = new AbortController()
+  const abort = () => controller.abort(signal.reason)
+  let timer
+
+  if (signal?.aborted) abort()
+  signal?.addEventListener("abort", abort, { once: true })
+
+  if (timeout > 0) {
+    timer = setTimeout(() => controller.abort(new DOMException("Request timed out", "TimeoutError")), timeout)
+  }
+
+  try {
+    const transport = onUploadProgress ? sendWithXhr : sendWithFetch
+    return await transport(url, { method, body, headers: requestHeaders, signal: controller.signal, onUploadProgress })
+  } catch (error) {
+    // Surface the timeout rather than a generic abort
+    const reason = controller.signal.reason
+    throw reason?.name === "TimeoutError" ? reason : error
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener("abort", abort)
+  }
+}
+
+async function sendWithFetch(url, { method, body, headers, signal }) {
+  const response = await fetch(url, { method, body, headers, signal })
+
+  return normalize({
+    ok: response.ok,
+    status: response.status,
+    redirected: response.redirected,
+    url: response.url,
+    headers: response.headers,
+    body: await response.text()
+  })
+}
+
+// fetch can't report upload progress, so uploads that need it go through XHR
+function sendWithXhr(url, { method, body, headers, signal, onUploadProgress }) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    const requestUrl = new URL(url, window.location.href).href
+
+    xhr.open(method, requestUrl)
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+
+    xhr.upload.addEventListener("progress", onUploadProgress)
+    xhr.addEventListener("error", () => reject(new TypeError("Network request failed")))
+    xhr.addEventListener("abort", () => reject(signal.reason || new DOMException("Request aborted", "AbortError")))
+    xhr.addEventListener("load", () => {
+      resolve(normalize({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        redirected: Boolean(xhr.responseURL) && xhr.responseURL !== requestUrl,
+        url: xhr.responseURL,
+        headers: parseHeaders(xhr.getAllResponseHeaders()),
+        body: xhr.responseText
+      }))
+    })
+
+    signal.addEventListener("abort", () => xhr.abort(), { once: true })
+    xhr.send(body)
+  })
+}
+
+function normalize(response) {
+  const contentType = response.headers.get("Content-Type") || ""
+
+  return {
+    ...response,
+    contentType,
+    kind: kindOf(contentType),
+    json: () => JSON.parse(response.body || "null")
+  }
+}
+
+function kindOf(contentType) {
+  if (contentType.includes("text/vnd.turbo-stream.html")) return "turbo-stream"
+  if (contentType.includes("json")) return "json"
+  if (contentType.includes("html")) return "html"
+  return "other"
+}
+
+function parseHeaders(raw) {
+  const headers = new Headers()
+
+  raw.trim().split(/[\r\n]+/).filter(Boolean).forEach(line => {
+    const separator = line.indexOf(":")
+    headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim())
+  })
+
+  return headers
+}
+
+function isSameOrigin(url) {
+  return new URL(url, window.location.href).origin === window.location.origin
+}
+
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason)
+
+    const timer = setTimeout(resolve, delay)
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }, { once: true })
+  })
+}
+
+function dispatch(element, prefix, name, detail) {
+  if (!element || !prefix) return
+
+  element.dispatchEvent(new CustomEvent(`${prefix}:${name}`, { detail, bubbles: true }))
+}
+
+// Usage from a controller:
+// import { request } from "helpers/request"
+//
+// const response = await request(this.urlValue, {
+//   method: "PATCH",
+//   body: new FormData(this.element),
+//   accept: ["turbo-stream", "json"],
+//   timeout: 10000,
+//   element: this.element,
+//   prefix: this.identifier
+// })
+//
+// if (response.kind === "turbo-stream") Turbo.renderStreamMessage(response.body)
+//
+// Every request reports its lifecycle, e.g. for a global spinner:
+// <div data-controller="search"
+//      data-action="search:request-start->spinner#show search:request-end->spinner#hide">
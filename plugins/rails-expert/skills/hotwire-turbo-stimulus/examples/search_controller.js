@@ -1,57 +1,363 @@
-// Live Search Controller with Debounce
+// Live Search Controller with Debounce, Keyboard Navigation, Result Caching,
+// Filter Facets and URL State
 //
 // app/javascript/controllers/search_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { request } from "helpers/request"
 
 export default class extends Controller {
-  static targets = ["input", "results"]
-  static values = { url: String }
+  static targets = ["input", "results", "facet", "frame"]
+  static values = {
+    url: String,
+    param: { type: String, default: "q" },
+    history: { type: String, default: "replace" },
+    debounce: { type: Number, default: 300 },
+    minLength: { type: Number, default: 2 },
+    cacheSize: { type: Number, default: 20 }
+  }
+
+  connect() {
+    // Query string => HTML, least recently used first
+    this.cache = new Map()
+    this.activeIndex = -1
+
+    this.resultsTarget.id ||= `${this.identifier}-results-${Math.random().toString(36).slice(2)}`
+    this.resultsTarget.setAttribute("role", "listbox")
+
+    this.inputTarget.setAttribute("role", "combobox")
+    this.inputTarget.setAttribute("aria-autocomplete", "list")
+    this.inputTarget.setAttribute("aria-controls", this.resultsTarget.id)
+    this.inputTarget.setAttribute("aria-expanded", "false")
+
+    this.frameLoaded = this.frameLoaded.bind(this)
+    if (this.hasFrameTarget) this.frameTarget.addEventListener("turbo:frame-load", this.frameLoaded)
+
+    // A bookmarked or shared search URL shows its results straight away, and
+    // so does Back or Forward to a pushed search
+    if (this.restoreFromUrl()) this.search({ immediate: true })
+  }
 
-  search() {
+  // Typing in the input and changing a facet both end up here
+  search({ immediate = false } = {}) {
     clearTimeout(this.timeout)
 
-    const query = this.inputTarget.value
+    const params = this.params
 
-    if (query.length < 2) {
+    if (!this.searchable(params)) {
+      this.abort()
       this.clearResults()
+      this.syncUrl(params)
+      return
+    }
+
+    const key = params.toString()
+
+    if (this.cache.has(key)) {
+      this.abort()
+      this.render(this.cached(key))
+      this.syncUrl(params)
       return
     }
 
-    this.timeout = setTimeout(() => {
-      this.performSearch(query)
-    }, 300)  // Debounce 300ms
+    const perform = () => {
+      this.syncUrl(params)
+      this.performSearch(params)
+    }
+
+    if (immediate === true) {
+      perform()
+    } else {
+      this.timeout = setTimeout(perform, this.debounceValue)
+    }
   }
 
-  async performSearch(query) {
+  async performSearch(params) {
     const url = new URL(this.urlValue, window.location.origin)
-    url.searchParams.append("q", query)
+    params.forEach((value, name) => url.searchParams.append(name, value))
+
+    // The server's response renders straight into the frame; Turbo cancels
+    // a frame navigation that's still in flight
+    if (this.hasFrameTarget) {
+      this.frameTarget.src = url.toString()
+      return
+    }
+
+    // A slow earlier response must never overwrite a newer one
+    this.abort()
+    this.abortController = new AbortController()
 
     try {
-      const response = await fetch(url, {
-        headers: {
-          "Accept": "text/html",
-          "X-Requested-With": "XMLHttpRequest"
-        }
+      const response = await request(url, {
+        signal: this.abortController.signal,
+        accept: ["html"],
+        element: this.element,
+        prefix: this.identifier
       })
 
-      const html = await response.text()
-      this.resultsTarget.innerHTML = html
+      if (response.ok) {
+        this.store(params.toString(), response.body)
+      }
+
+      this.render(response.body)
     } catch (error) {
-      console.error("Search failed:", error)
+      if (error.name !== "AbortError") {
+        console.error("Search failed:", error)
+      }
     }
   }
 
+  // Keyboard handling for the combobox input
+  navigate(event) {
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault()
+        this.activate(this.activeIndex + 1)
+        break
+      case "ArrowUp":
+        event.preventDefault()
+        this.activate(this.activeIndex - 1)
+        break
+      case "Enter":
+        if (this.activeOption) {
+          event.preventDefault()
+          this.choose(this.activeOption)
+        }
+        break
+      case "Escape":
+        if (this.expanded) {
+          event.preventDefault()
+          this.clearResults()
+        }
+        break
+    }
+  }
+
+  // Mouse selection; links inside the option navigate on their own
+  select(event) {
+    const option = event.target.closest("[role='option']")
+    if (option) this.dispatch("select", { detail: { option } })
+  }
+
+  choose(option) {
+    this.dispatch("select", { detail: { option } })
+
+    // Result links navigate as if they had been clicked
+    const link = option.matches("a[href]") ? option : option.querySelector("a[href]")
+    if (link) link.click()
+  }
+
+  activate(index) {
+    const options = this.options
+    if (options.length === 0) return
+
+    // Wrap around at both ends
+    this.activeIndex = (index + options.length) % options.length
+
+    options.forEach((option, i) => {
+      option.setAttribute("aria-selected", i === this.activeIndex)
+    })
+
+    this.activeOption.scrollIntoView({ block: "nearest" })
+    this.inputTarget.setAttribute("aria-activedescendant", this.activeOption.id)
+  }
+
+  render(html) {
+    this.resultsTarget.innerHTML = html
+    this.refreshOptions()
+  }
+
+  frameLoaded() {
+    this.refreshOptions()
+  }
+
+  refreshOptions() {
+    this.activeIndex = -1
+    this.inputTarget.removeAttribute("aria-activedescendant")
+
+    this.options.forEach((option, i) => {
+      option.id ||= `${this.resultsTarget.id}-option-${i}`
+      option.setAttribute("aria-selected", "false")
+    })
+
+    this.inputTarget.setAttribute("aria-expanded", this.options.length > 0)
+  }
+
   clearResults() {
-    this.resultsTarget.innerHTML = ""
+    if (this.hasFrameTarget) this.frameTarget.removeAttribute("src")
+    this.render("")
+  }
+
+  // The query and facets are written to the page URL, leaving its other
+  // params alone, so searches can be bookmarked, shared and revisited
+  syncUrl(params) {
+    if (!["replace", "push"].includes(this.historyValue)) return
+
+    const url = new URL(window.location.href)
+    this.paramNames.forEach(name => url.searchParams.delete(name))
+    params.forEach((value, name) => url.searchParams.append(name, value))
+
+    if (url.href === window.location.href) return
+
+    if (this.historyValue === "push") {
+      // Through Turbo, so Back to this entry is a restoration visit like any other
+      Turbo.navigator.history.push(url)
+    } else {
+      // Keep Turbo's restoration identifier
+      history.replaceState(history.state, "", url)
+    }
+  }
+
+  // Fills the input and facets from the page URL; true if anything was set
+  restoreFromUrl() {
+    const params = new URL(window.location.href).searchParams
+    let restored = false
+
+    if (params.has(this.paramValue)) {
+      this.inputTarget.value = params.get(this.paramValue)
+      restored = true
+    }
+
+    this.facetTargets.forEach(facet => {
+      if (!facet.name) return
+
+      const values = params.getAll(facet.name)
+      if (values.length > 0) restored = true
+
+      if (facet.type === "checkbox" || facet.type === "radio") {
+        facet.checked = values.includes(facet.value)
+      } else if (facet.multiple) {
+        [...facet.options].forEach(option => { option.selected = values.includes(option.value) })
+      } else if (values.length > 0) {
+        facet.value = values[0]
+      }
+    })
+
+    return restored
+  }
+
+  // A short query still searches when it's empty and a facet is set
+  searchable(params) {
+    const query = params.get(this.paramValue) || ""
+    const facets = [...params.keys()].some(name => name !== this.paramValue)
+
+    return query.length >= this.minLengthValue || (query === "" && facets)
+  }
+
+  abort() {
+    this.abortController?.abort()
+  }
+
+  cached(query) {
+    const html = this.cache.get(query)
+
+    // Re-insert so the entry becomes the most recently used
+    this.cache.delete(query)
+    this.cache.set(query, html)
+
+    return html
+  }
+
+  store(query, html) {
+    this.cache.delete(query)
+    this.cache.set(query, html)
+
+    if (this.cache.size > this.cacheSizeValue) {
+      this.cache.delete(this.cache.keys().next().value)
+    }
+  }
+
+  // The query plus every facet with a value: checked boxes and radios, selected
+  // options, and non-empty text, number and range inputs
+  get params() {
+    const params = new URLSearchParams()
+    const query = this.inputTarget.value.trim()
+
+    if (query) params.append(this.paramValue, query)
+
+    this.facetTargets.forEach(facet => {
+      if (!facet.name || facet.disabled) return
+
+      if (facet.type === "checkbox" || facet.type === "radio") {
+        if (facet.checked) params.append(facet.name, facet.value)
+      } else if (facet.multiple) {
+        [...facet.selectedOptions].forEach(option => params.append(facet.name, option.value))
+      } else if (facet.value !== "") {
+        params.append(facet.name, facet.value)
+      }
+    })
+
+    return params
+  }
+
+  get paramNames() {
+    return [this.paramValue, ...this.facetTargets.map(facet => facet.name).filter(Boolean)]
+  }
+
+  get options() {
+    return [...this.resultsTarget.querySelectorAll("[role='option']")]
+  }
+
+  get activeOption() {
+    return this.options[this.activeIndex]
+  }
+
+  get expanded() {
+    return this.inputTarget.getAttribute("aria-expanded") === "true"
   }
 
   disconnect() {
     clearTimeout(this.timeout)
+    this.abort()
+
+    if (this.hasFrameTarget) this.frameTarget.removeEventListener("turbo:frame-load", this.frameLoaded)
   }
 }
 
 // Usage:
-// <div data-controller="search" data-search-url-value="<%= search_products_path %>">
-//   <input type="search" data-search-target="input" data-action="input->search#search">
-//   <div data-search-target="results"></div>
+// <div data-controller="search"
+//      data-search-url-value="<%= search_products_path %>"
+//      data-search-debounce-value="250"
+//      data-search-min-length-value="3">
+//   <input type="search"
+//          aria-label="Search products"
+//          data-search-target="input"
+//          data-action="input->search#search keydown->search#navigate">
+//   <ul data-search-target="results" data-action="click->search#select"></ul>
 // </div>
+//
+// Filters, synced to the URL as /products?q=lamp&category=lighting&max_price=200.
+// Each search adds a history entry, so Back returns to the previous results:
+// <div data-controller="search"
+//      data-search-url-value="<%= search_products_path %>"
+//      data-search-history-value="push">
+//   <input type="search" data-search-target="input"
+//          data-action="input->search#search keydown->search#navigate">
+//
+//   <select name="category" data-search-target="facet" data-action="change->search#search">
+//     <option value="">All categories</option>
+//     <%= options_from_collection_for_select Category.all, :slug, :name, params[:category] %>
+//   </select>
+//   <label><input type="checkbox" name="in_stock" value="1" data-search-target="facet"
+//                 data-action="change->search#search"> In stock</label>
+//   <input type="range" name="max_price" min="0" max="500" data-search-target="facet"
+//          data-action="input->search#search">
+//
+//   <ul data-search-target="results" data-action="click->search#select"></ul>
+// </div>
+//
+// Or let the server render the results into a Turbo Frame:
+// <turbo-frame id="search_results" target="_top" data-search-target="results frame"
+//              data-action="click->search#select"></turbo-frame>
+//
+// <%# The search action's view wraps its results in the same frame %>
+// <turbo-frame id="search_results">
+//   <%= render partial: "products/option", collection: @products %>
+// </turbo-frame>
+//
+// Each result is an option; links inside are followed on Enter:
+//
+// <%# app/views/products/search.html.erb %>
+// <% @products.each do |product| %>
+//   <li role="option"><%= link_to product.name, product %></li>
+// <% end %>
@@ -1,66 +1,385 @@
-// Slideshow/Carousel Controller
+// Slideshow/Carousel Controller (Accessible, Swipeable, Pausable, Lazy)
 //
 // app/javascript/controllers/slideshow_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { t } from "helpers/i18n"
+import { transition, transitionClasses, prefersReducedMotion } from "helpers/transition"
+
+// English fallbacks for slideshow.* in the page's i18n dictionary
+const MESSAGES = {
+  status: "Slide %{index} of %{count}",
+  slide_label: "%{index} of %{count}",
+  go_to: "Go to slide %{index}",
+  play: "Play",
+  pause: "Pause",
+  play_label: "Start slideshow",
+  pause_label: "Pause slideshow"
+}
 
 export default class extends Controller {
-  static targets = ["slide"]
+  static targets = ["slide", "previousButton", "nextButton", "playButton", "status", "indicators", "frame"]
+  static classes = ["enter", "enterFrom", "enterTo", "leave", "leaveFrom", "leaveTo"]
   static values = {
+    url: String,
     index: { type: Number, default: 0 },
     autoplay: { type: Boolean, default: false },
-    interval: { type: Number, default: 5000 }
+    interval: { type: Number, default: 5000 },
+    wrap: { type: Boolean, default: true },
+    swipeThreshold: { type: Number, default: 50 },
+    messages: Object
   }
 
   connect() {
+    // Reasons autoplay is on hold: "hover", "focus", "hidden"
+    this.pauses = new Set()
+
+    // Users who prefer reduced motion start paused, but can still press play
+    this.playing = this.autoplayValue && !prefersReducedMotion()
+
+    this.pointerEnter = () => this.pause("hover")
+    this.pointerLeave = () => this.resume("hover")
+    this.focusIn = () => this.pause("focus")
+    this.focusOut = event => {
+      if (!this.element.contains(event.relatedTarget)) this.resume("focus")
+    }
+    this.visibilityChanged = () => {
+      if (document.hidden) {
+        this.pause("hidden")
+      } else {
+        this.resume("hidden")
+      }
+    }
+    this.swipeStart = this.swipeStart.bind(this)
+    this.swipeEnd = this.swipeEnd.bind(this)
+
+    this.element.addEventListener("pointerenter", this.pointerEnter)
+    this.element.addEventListener("pointerleave", this.pointerLeave)
+    this.element.addEventListener("focusin", this.focusIn)
+    this.element.addEventListener("focusout", this.focusOut)
+    this.element.addEventListener("pointerdown", this.swipeStart)
+    this.element.addEventListener("pointerup", this.swipeEnd)
+    document.addEventListener("visibilitychange", this.visibilityChanged)
+
+    // Vertical scrolling stays with the browser; horizontal drags are ours
+    this.element.style.touchAction = "pan-y"
+
+    this.setupAria()
+    this.buildIndicators()
     this.showSlide()
+    this.scheduleNext()
 
-    if (this.autoplayValue) {
-      this.startAutoplay()
+    // Slides rendered by the server into a <turbo-frame>
+    if (this.urlValue && this.hasFrameTarget) {
+      this.frameTarget.src = this.urlValue
     }
   }
 
+  // Slides can arrive later from a Turbo Frame; batch them into one refresh
+  slideTargetConnected() {
+    this.slidesChanged()
+  }
+
+  slideTargetDisconnected() {
+    this.slidesChanged()
+  }
+
+  slidesChanged() {
+    if (!this.pauses || this.refreshQueued) return
+    this.refreshQueued = true
+
+    queueMicrotask(() => {
+      this.refreshQueued = false
+      if (this.slideTargets.length === 0) return
+
+      this.setupAria()
+      this.buildIndicators()
+
+      if (this.indexValue >= this.slideTargets.length) {
+        this.indexValue = 0
+      } else {
+        this.showSlide()
+      }
+    })
+  }
+
   next() {
+    if (this.atEnd && !this.wrapValue) return
     this.indexValue = (this.indexValue + 1) % this.slideTargets.length
   }
 
   previous() {
+    if (this.atStart && !this.wrapValue) return
     this.indexValue = (this.indexValue - 1 + this.slideTargets.length) % this.slideTargets.length
   }
 
-  showSlide() {
+  // Action for indicator dots: data-slideshow-index-param="2"
+  goTo(event) {
+    this.indexValue = event.params.index
+  }
+
+  togglePlay() {
+    this.playing = !this.playing
+    this.updateControls()
+    this.scheduleNext()
+  }
+
+  // Without transition classes slides swap instantly. With them, the old slide
+  // stays visible until its leave transition ends.
+  showSlide(previousIndex) {
+    const count = this.slideTargets.length
+    if (count === 0) return
+
+    const animate = this.animates && previousIndex !== undefined && previousIndex !== this.indexValue
+    const classes = this.transitionClasses
+
     this.slideTargets.forEach((slide, index) => {
-      slide.classList.toggle("hidden", index !== this.indexValue)
+      if (index === this.indexValue) {
+        slide.classList.remove("hidden")
+        if (animate) transition(slide, "enter", classes)
+      } else if (animate && index === previousIndex) {
+        transition(slide, "leave", classes).then(() => {
+          if (this.slideTargets[this.indexValue] !== slide) slide.classList.add("hidden")
+        })
+      } else {
+        slide.classList.add("hidden")
+      }
     })
+
+    this.loadNearby()
+
+    if (this.hasStatusTarget) {
+      this.statusTarget.textContent = this.message("status", { index: this.indexValue + 1, count })
+    }
+
+    this.updateControls()
   }
 
-  indexValueChanged() {
-    this.showSlide()
+  indexValueChanged(value, previousValue) {
+    if (!this.pauses) return
+
+    this.showSlide(previousValue)
+    this.scheduleNext()
   }
 
-  startAutoplay() {
-    this.autoplayTimer = setInterval(() => {
-      this.next()
+  // Deferred images: <img data-src="..." data-srcset="..."> and
+  // <source data-srcset="...">, loaded for the current slide and its neighbours
+  loadNearby() {
+    const count = this.slideTargets.length
+    const indexes = [this.indexValue - 1, this.indexValue, this.indexValue + 1]
+
+    indexes
+      .map(index => (this.wrapValue ? (index + count) % count : index))
+      .map(index => this.slideTargets[index])
+      .filter(Boolean)
+      .forEach(slide => this.loadImages(slide))
+  }
+
+  loadImages(slide) {
+    slide.querySelectorAll("[data-src], [data-srcset]").forEach(media => {
+      if (media.dataset.srcset) media.srcset = media.dataset.srcset
+      if (media.dataset.src) media.src = media.dataset.src
+
+      delete media.dataset.srcset
+      delete media.dataset.src
+    })
+  }
+
+  // Each slide gets a full interval, however it was reached
+  scheduleNext() {
+    this.stopAutoplay()
+
+    if (!this.playing || this.pauses.size > 0) return
+
+    this.autoplayTimer = setTimeout(() => {
+      if (this.atEnd && !this.wrapValue) {
+        this.playing = false
+        this.updateControls()
+      } else {
+        this.next()
+      }
     }, this.intervalValue)
   }
 
+  pause(reason) {
+    this.pauses.add(reason)
+    this.stopAutoplay()
+  }
+
+  resume(reason) {
+    this.pauses.delete(reason)
+    this.scheduleNext()
+  }
+
   stopAutoplay() {
-    if (this.autoplayTimer) {
-      clearInterval(this.autoplayTimer)
+    clearTimeout(this.autoplayTimer)
+  }
+
+  swipeStart(event) {
+    if (!event.isPrimary) return
+    this.swipeOrigin = { x: event.clientX, y: event.clientY }
+  }
+
+  swipeEnd(event) {
+    if (!this.swipeOrigin || !event.isPrimary) return
+
+    const dx = event.clientX - this.swipeOrigin.x
+    const dy = event.clientY - this.swipeOrigin.y
+    this.swipeOrigin = null
+
+    if (Math.abs(dx) < this.swipeThresholdValue || Math.abs(dx) < Math.abs(dy)) return
+
+    if (dx < 0) {
+      this.next()
+    } else {
+      this.previous()
+    }
+  }
+
+  updateControls() {
+    if (this.hasPreviousButtonTarget) this.previousButtonTarget.disabled = !this.wrapValue && this.atStart
+    if (this.hasNextButtonTarget) this.nextButtonTarget.disabled = !this.wrapValue && this.atEnd
+
+    if (this.hasPlayButtonTarget) {
+      this.playButtonTarget.textContent = this.message(this.playing ? "pause" : "play")
+      this.playButtonTarget.setAttribute("aria-label", this.message(this.playing ? "pause_label" : "play_label"))
+    }
+
+    // Announcing every automatic change would drown out everything else
+    if (this.hasStatusTarget) {
+      this.statusTarget.setAttribute("aria-live", this.playing ? "off" : "polite")
+    }
+
+    if (this.hasIndicatorsTarget) {
+      [...this.indicatorsTarget.children].forEach((dot, index) => {
+        if (index === this.indexValue) {
+          dot.setAttribute("aria-current", "true")
+        } else {
+          dot.removeAttribute("aria-current")
+        }
+      })
     }
   }
 
+  buildIndicators() {
+    if (!this.hasIndicatorsTarget) return
+
+    const dots = this.slideTargets.map((slide, index) => {
+      const dot = document.createElement("button")
+      dot.type = "button"
+      dot.setAttribute("aria-label", this.message("go_to", { index: index + 1 }))
+      dot.dataset.action = "slideshow#goTo"
+      dot.dataset.slideshowIndexParam = index
+      return dot
+    })
+
+    this.indicatorsTarget.replaceChildren(...dots)
+  }
+
+  setupAria() {
+    const count = this.slideTargets.length
+
+    this.element.setAttribute("role", "region")
+    this.element.setAttribute("aria-roledescription", "carousel")
+
+    this.slideTargets.forEach((slide, index) => {
+      slide.setAttribute("role", "group")
+      slide.setAttribute("aria-roledescription", "slide")
+      slide.setAttribute("aria-label", this.message("slide_label", { index: index + 1, count }))
+    })
+
+    if (this.hasStatusTarget) {
+      this.statusTarget.setAttribute("aria-atomic", "true")
+    }
+  }
+
+  message(key, variables = {}) {
+    return t(`slideshow.${key}`, { ...variables, default: MESSAGES[key], override: this.messagesValue[key] })
+  }
+
+  get animates() {
+    return !prefersReducedMotion() && Object.keys(this.transitionClasses).length > 0
+  }
+
+  get transitionClasses() {
+    return transitionClasses(this)
+  }
+
+  get atStart() {
+    return this.indexValue === 0
+  }
+
+  get atEnd() {
+    return this.indexValue === this.slideTargets.length - 1
+  }
+
   disconnect() {
     this.stopAutoplay()
+
+    this.element.removeEventListener("pointerenter", this.pointerEnter)
+    this.element.removeEventListener("pointerleave", this.pointerLeave)
+    this.element.removeEventListener("focusin", this.focusIn)
+    this.element.removeEventListener("focusout", this.focusOut)
+    this.element.removeEventListener("pointerdown", this.swipeStart)
+    this.element.removeEventListener("pointerup", this.swipeEnd)
+    document.removeEventListener("visibilitychange", this.visibilityChanged)
   }
 }
 
 // Usage:
 // <div data-controller="slideshow"
+//      aria-label="Featured products"
 //      data-slideshow-autoplay-value="true"
 //      data-slideshow-interval-value="3000">
-//   <button data-action="slideshow#previous">Previous</button>
+//   <button data-slideshow-target="playButton" data-action="slideshow#togglePlay">Pause</button>
+//
 //   <div data-slideshow-target="slide">Slide 1</div>
 //   <div data-slideshow-target="slide" class="hidden">Slide 2</div>
 //   <div data-slideshow-target="slide" class="hidden">Slide 3</div>
-//   <button data-action="slideshow#next">Next</button>
+//
+//   <button data-slideshow-target="previousButton" data-action="slideshow#previous">Previous</button>
+//   <div data-slideshow-target="indicators"></div>
+//   <button data-slideshow-target="nextButton" data-action="slideshow#next">Next</button>
+//
+//   <p data-slideshow-target="status" class="sr-only"></p>
+// </div>
+//
+// Stop at the ends instead of wrapping (prev/next are disabled there):
+// <div data-controller="slideshow" data-slideshow-wrap-value="false">
+//
+// A heavy gallery that only loads the images around the current slide, and
+// cross-fades between slides stacked in one grid cell:
+// <div data-controller="slideshow"
+//      data-slideshow-enter-class="transition-opacity duration-300"
+//      data-slideshow-enter-from-class="opacity-0"
+//      data-slideshow-enter-to-class="opacity-100"
+//      data-slideshow-leave-class="transition-opacity duration-300"
+//      data-slideshow-leave-from-class="opacity-100"
+//      data-slideshow-leave-to-class="opacity-0">
+//   <div class="grid [&>*]:col-start-1 [&>*]:row-start-1">
+//     <% @product.images.each_with_index do |image, index| %>
+//       <figure data-slideshow-target="slide" class="<%= "hidden" unless index.zero? %>">
+//         <picture>
+//           <source type="image/webp" data-srcset="<%= url_for(image.variant(:large_webp)) %>">
+//           <img data-src="<%= url_for(image.variant(:large)) %>" alt="<%= image.filename %>">
+//         </picture>
+//       </figure>
+//     <% end %>
+//   </div>
+// </div>
+//
+// Slides rendered by another action, inside a Turbo Frame:
+// <div data-controller="slideshow"
+//      data-slideshow-url-value="<%= product_slides_path(@product) %>">
+//   <turbo-frame id="product_slides" data-slideshow-target="frame">Loading...</turbo-frame>
+//   <div data-slideshow-target="indicators"></div>
 // </div>
+//
+// <%# app/views/slides/index.html.erb %>
+// <turbo-frame id="product_slides">
+//   <% @slides.each do |slide| %>
+//     <div data-slideshow-target="slide" class="hidden"><%= render slide %></div>
+//   <% end %>
+// </turbo-frame>
+//
+// Style the current dot:
+// [data-slideshow-target="indicators"] [aria-current] { background: currentColor; }
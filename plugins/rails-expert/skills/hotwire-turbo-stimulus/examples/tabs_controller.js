@@ -1,15 +1,27 @@
-// Tabs Controller
+// Tabs Controller (WAI-ARIA Tabs with Lazy Panels)
 //
 // app/javascript/controllers/tabs_controller.js
 import { Controller } from "@hotwired/stimulus"
 
 export default class extends Controller {
-  static targets = ["tab", "panel"]
+  static targets = ["tablist", "tab", "panel"]
   static classes = ["active", "inactive"]
-  static values = { index: { type: Number, default: 0 } }
+  static values = {
+    index: { type: Number, default: 0 },
+    name: String,
+    param: { type: String, default: "tab" },
+    hash: { type: Boolean, default: false },
+    manual: { type: Boolean, default: false }
+  }
 
   connect() {
-    this.showTab(this.indexValue)
+    this.setupAria()
+
+    this.hashChanged = this.hashChanged.bind(this)
+    window.addEventListener("hashchange", this.hashChanged)
+
+    const index = this.indexOfName(this.nameFromUrl) ?? this.indexOfName(this.nameValue) ?? this.indexValue
+    this.showTab(index, { updateUrl: false })
   }
 
   select(event) {
@@ -17,37 +29,179 @@ export default class extends Controller {
     this.showTab(index)
   }
 
-  showTab(index) {
+  // Arrow keys move between tabs, Home and End jump to the ends. With manual
+  // activation, focus moves and Enter or Space (a click) selects.
+  navigate(event) {
+    const vertical = this.tablist.getAttribute("aria-orientation") === "vertical"
+    const previousKey = vertical ? "ArrowUp" : "ArrowLeft"
+    const nextKey = vertical ? "ArrowDown" : "ArrowRight"
+
+    const tabs = this.tabTargets
+    const current = tabs.indexOf(document.activeElement)
+    if (current === -1) return
+
+    let index
+
+    switch (event.key) {
+      case previousKey:
+        index = (current - 1 + tabs.length) % tabs.length
+        break
+      case nextKey:
+        index = (current + 1) % tabs.length
+        break
+      case "Home":
+        index = 0
+        break
+      case "End":
+        index = tabs.length - 1
+        break
+      default:
+        return
+    }
+
+    event.preventDefault()
+
+    if (this.manualValue) {
+      this.focusTab(index)
+    } else {
+      this.showTab(index)
+      this.focusTab(index)
+    }
+  }
+
+  showTab(index, { updateUrl = true } = {}) {
+    if (!this.tabTargets[index]) index = 0
+
     this.indexValue = index
+    this.nameValue = this.nameOf(index)
 
-    // Update tabs
+    // Update tabs; only the selected tab is in the tab order
     this.tabTargets.forEach((tab, i) => {
-      tab.classList.toggle(this.activeClass, i === index)
-      tab.classList.toggle(this.inactiveClass, i !== index)
+      const selected = i === index
+
+      if (this.hasActiveClass) tab.classList.toggle(this.activeClass, selected)
+      if (this.hasInactiveClass) tab.classList.toggle(this.inactiveClass, !selected)
+      tab.setAttribute("aria-selected", selected)
+      tab.tabIndex = selected ? 0 : -1
     })
 
     // Update panels
     this.panelTargets.forEach((panel, i) => {
       panel.classList.toggle("hidden", i !== index)
+      if (i === index) this.loadPanel(panel)
+    })
+
+    if (updateUrl) this.updateUrl()
+  }
+
+  focusTab(index) {
+    this.tabTargets.forEach((tab, i) => { tab.tabIndex = i === index ? 0 : -1 })
+    this.tabTargets[index].focus()
+  }
+
+  // A lazy panel is (or wraps) a <turbo-frame data-tabs-src="...">, loaded the
+  // first time its tab is shown
+  loadPanel(panel) {
+    const frames = panel.matches("turbo-frame[data-tabs-src]") ? [panel] : panel.querySelectorAll("turbo-frame[data-tabs-src]")
+
+    frames.forEach(frame => {
+      frame.src = frame.dataset.tabsSrc
+      delete frame.dataset.tabsSrc
+    })
+  }
+
+  hashChanged() {
+    if (!this.hashValue) return
+
+    const index = this.indexOfName(this.nameFromUrl)
+    if (index !== undefined && index !== this.indexValue) this.showTab(index, { updateUrl: false })
+  }
+
+  updateUrl() {
+    const url = new URL(window.location)
+
+    if (this.hashValue) {
+      url.hash = this.nameValue
+    } else {
+      url.searchParams.set(this.paramValue, this.nameValue)
+    }
+
+    // Keep Turbo's restoration identifier
+    history.replaceState(history.state, "", url)
+  }
+
+  setupAria() {
+    const id = this.element.id || this.identifier
+
+    this.tablist.setAttribute("role", "tablist")
+
+    this.tabTargets.forEach((tab, index) => {
+      const panel = this.panelTargets[index]
+
+      tab.setAttribute("role", "tab")
+      tab.id ||= `${id}-tab-${this.nameOf(index)}`
+
+      if (panel) {
+        panel.setAttribute("role", "tabpanel")
+        panel.id ||= `${id}-panel-${this.nameOf(index)}`
+        panel.tabIndex = 0
+        panel.setAttribute("aria-labelledby", tab.id)
+        tab.setAttribute("aria-controls", panel.id)
+      }
     })
   }
 
-  indexValueChanged(value, previousValue) {
-    // Optionally update URL
+  // Tabs are named with data-tabs-name-param, falling back to their position
+  nameOf(index) {
+    return this.tabTargets[index]?.dataset.tabsNameParam || String(index)
+  }
+
+  indexOfName(name) {
+    if (!name) return undefined
+
+    const index = this.tabTargets.findIndex((tab, i) => this.nameOf(i) === name)
+    return index === -1 ? undefined : index
+  }
+
+  get nameFromUrl() {
     const url = new URL(window.location)
-    url.searchParams.set("tab", value)
-    history.replaceState({}, "", url)
+    return this.hashValue ? decodeURIComponent(url.hash.slice(1)) : url.searchParams.get(this.paramValue)
+  }
+
+  get tablist() {
+    return this.hasTablistTarget ? this.tablistTarget : this.tabTargets[0].parentElement
+  }
+
+  disconnect() {
+    window.removeEventListener("hashchange", this.hashChanged)
   }
 }
 
 // Usage:
 // <div data-controller="tabs"
+//      id="product-tabs"
 //      data-tabs-active-class="border-blue-500"
 //      data-tabs-inactive-class="border-gray-200">
-//   <div class="tabs">
-//     <button data-tabs-target="tab" data-action="tabs#select">Tab 1</button>
-//     <button data-tabs-target="tab" data-action="tabs#select">Tab 2</button>
+//   <div data-tabs-target="tablist" aria-label="Product details"
+//        data-action="keydown->tabs#navigate">
+//     <button data-tabs-target="tab" data-tabs-name-param="details" data-action="tabs#select">Details</button>
+//     <button data-tabs-target="tab" data-tabs-name-param="reviews" data-action="tabs#select">Reviews</button>
 //   </div>
-//   <div data-tabs-target="panel">Content 1</div>
-//   <div data-tabs-target="panel" class="hidden">Content 2</div>
+//
+//   <div data-tabs-target="panel">Details content</div>
+//
+//   <%# Loaded the first time the Reviews tab is shown %>
+//   <turbo-frame id="product_reviews" data-tabs-target="panel" class="hidden"
+//                data-tabs-src="<%= product_reviews_path(@product) %>">
+//     Loading reviews...
+//   </turbo-frame>
 // </div>
+//
+// /products/1?tab=reviews opens on the Reviews tab. To use #reviews instead:
+// <div data-controller="tabs" data-tabs-hash-value="true">
+//
+// Manual activation (arrow keys only move focus) suits panels that are slow to show:
+// <div data-controller="tabs" data-tabs-manual-value="true">
+//
+// Vertical tabs use the up and down arrows:
+// <div data-tabs-target="tablist" aria-orientation="vertical" data-action="keydown->tabs#navigate">
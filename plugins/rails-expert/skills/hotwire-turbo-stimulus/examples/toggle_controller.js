@@ -1,35 +1,178 @@
-// Toggle Visibility Controller
+// Toggle Visibility Controller with Persistence, Accordions and Transitions
 //
 // app/javascript/controllers/toggle_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { transition, transitionClasses, prefersReducedMotion } from "helpers/transition"
+
+// Every connected toggle, so opening one can close the rest of its group
+const instances = new Set()
 
 export default class extends Controller {
-  static targets = ["toggleable"]
-  static classes = ["hidden"]
+  static targets = ["toggleable", "trigger"]
+  static classes = ["hidden", "enter", "enterFrom", "enterTo", "leave", "leaveFrom", "leaveTo"]
+  static values = {
+    open: Boolean,
+    id: String,
+    storage: String,
+    group: String,
+    animateHeight: { type: Boolean, default: false }
+  }
+
+  connect() {
+    instances.add(this)
+
+    // Without an explicit value, the markup decides the initial state
+    const saved = this.savedState
+    if (saved !== null) {
+      this.openValue = saved
+    } else if (!this.hasOpenValue) {
+      this.openValue = this.toggleableTargets.some(target => !target.classList.contains(this.hiddenClassName))
+    }
+
+    this.render({ animate: false })
+    this.ready = true
+  }
 
   toggle() {
-    this.toggleableTargets.forEach(target => {
-      target.classList.toggle(this.hiddenClass)
-    })
+    this.openValue = !this.openValue
   }
 
   show() {
-    this.toggleableTargets.forEach(target => {
-      target.classList.remove(this.hiddenClass)
-    })
+    this.openValue = true
   }
 
   hide() {
+    this.openValue = false
+  }
+
+  openValueChanged(open) {
+    if (!this.ready) return
+
+    if (open && this.groupValue) {
+      instances.forEach(other => {
+        if (other !== this && other.groupValue === this.groupValue) other.hide()
+      })
+    }
+
+    this.render({ animate: true })
+    this.save()
+    this.dispatch(open ? "opened" : "closed")
+  }
+
+  render({ animate }) {
+    const open = this.openValue
+    animate &&= this.animates
+    const classes = this.transitionClasses
+    const options = { height: this.animateHeightValue }
+
+    this.syncAria()
+
     this.toggleableTargets.forEach(target => {
-      target.classList.add(this.hiddenClass)
+      if (open) {
+        target.classList.remove(this.hiddenClassName)
+        if (animate) transition(target, "enter", classes, options)
+      } else if (animate) {
+        // Hide only once the leave transition has finished, unless reopened meanwhile
+        transition(target, "leave", classes, options).then(() => {
+          if (!this.openValue) target.classList.add(this.hiddenClassName)
+        })
+      } else {
+        target.classList.add(this.hiddenClassName)
+      }
+    })
+  }
+
+  syncAria() {
+    const ids = this.toggleableTargets.map((target, index) => {
+      target.id ||= `${this.idValue || this.identifier}-${index}-${Math.random().toString(36).slice(2, 8)}`
+      return target.id
     })
+
+    this.triggerTargets.forEach(trigger => {
+      trigger.setAttribute("aria-expanded", this.openValue)
+      trigger.setAttribute("aria-controls", ids.join(" "))
+    })
+  }
+
+  save() {
+    try {
+      this.store?.setItem(this.storageKey, this.openValue ? "open" : "closed")
+    } catch {
+      // Storage can be full or disabled; the toggle still works
+    }
+  }
+
+  get savedState() {
+    try {
+      const state = this.store?.getItem(this.storageKey)
+      return state ? state === "open" : null
+    } catch {
+      return null
+    }
+  }
+
+  // storage: "local" or "session"; anything else, or no id, disables persistence
+  get store() {
+    if (!this.idValue) return null
+    if (this.storageValue === "local") return window.localStorage
+    if (this.storageValue === "session") return window.sessionStorage
+    return null
+  }
+
+  get storageKey() {
+    return `toggle:${this.idValue}`
+  }
+
+  get hiddenClassName() {
+    return this.hasHiddenClass ? this.hiddenClass : "hidden"
+  }
+
+  get transitionClasses() {
+    return transitionClasses(this)
+  }
+
+  // Height alone animates too, given a CSS transition on height
+  get animates() {
+    if (prefersReducedMotion()) return false
+    return Object.keys(this.transitionClasses).length > 0 || this.animateHeightValue
+  }
+
+  disconnect() {
+    instances.delete(this)
+    this.ready = false
   }
 }
 
 // Usage:
 // <div data-controller="toggle" data-toggle-hidden-class="hidden">
-//   <button data-action="toggle#toggle">Toggle Content</button>
+//   <button data-toggle-target="trigger" data-action="toggle#toggle">Toggle Content</button>
 //   <div data-toggle-target="toggleable">
 //     This content can be toggled
 //   </div>
 // </div>
+//
+// A sidebar that stays collapsed across Turbo visits and reloads:
+// <aside data-controller="toggle"
+//        data-toggle-id-value="sidebar"
+//        data-toggle-storage-value="local">
+//   <button data-toggle-target="trigger" data-action="toggle#toggle">Filters</button>
+//   <nav data-toggle-target="toggleable">...</nav>
+// </aside>
+//
+// An FAQ accordion: opening one answer closes the others, with a height and fade transition
+// <% @faqs.each do |faq| %>
+//   <div data-controller="toggle"
+//        data-toggle-group-value="faq"
+//        data-toggle-id-value="faq-<%= faq.id %>"
+//        data-toggle-storage-value="session"
+//        data-toggle-animate-height-value="true"
+//        data-toggle-enter-class="transition-all duration-200"
+//        data-toggle-enter-from-class="opacity-0"
+//        data-toggle-leave-class="transition-all duration-200"
+//        data-toggle-leave-to-class="opacity-0">
+//     <h3>
+//       <button data-toggle-target="trigger" data-action="toggle#toggle"><%= faq.question %></button>
+//     </h3>
+//     <div data-toggle-target="toggleable" class="hidden"><%= faq.answer %></div>
+//   </div>
+// <% end %>
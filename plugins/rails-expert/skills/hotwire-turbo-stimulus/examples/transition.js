@@ -0,0 +1,104 @@
+// Shared Enter/Leave Transition Helper for Animated Controllers
+//
+// app/javascript/helpers/transition.js
+//
+// Pin it alongside the controllers:
+// # config/importmap.rb
+// pin_all_from "app/javascript/helpers", under: "helpers"
+
+const STAGES = ["enter", "enterFrom", "enterTo", "leave", "leaveFrom", "leaveTo"]
+
+// The enter and leave classes a controller declares, keyed by stage, e.g.
+// { enter: ["transition", "duration-200"], enterFrom: ["opacity-0"] }. Stages
+// without classes are left out, so an empty object means nothing to animate.
+//
+//   static classes = ["enter", "enterFrom", "enterTo", "leave", "leaveFrom", "leaveTo"]
+export function transitionClasses(controller) {
+  const classes = {}
+
+  STAGES.forEach(name => {
+    const key = name.charAt(0).toUpperCase() + name.slice(1)
+    if (controller[`has${key}Class`]) classes[name] = controller[`${name}Classes`]
+  })
+
+  return classes
+}
+
+export function prefersReducedMotion() {
+  return window.matchMedia("(prefers-reduced-motion: reduce)").matches
+}
+
+// Runs the "enter" or "leave" stage the way Tailwind UI describes it: the
+// active and "from" classes first, "to" on the next frame, and cleanup on
+// transitionend. Resolves once the element has settled. Options:
+//   height   also animates height from 0 to the content height, or back
+export function transition(element, stage, classes, { height = false } = {}) {
+  const active = classes[stage] || []
+  const from = classes[`${stage}From`] || []
+  const to = classes[`${stage}To`] || []
+  const contentHeight = `${element.scrollHeight}px`
+
+  // The element may still be mid-way through the opposite stage
+  element.classList.remove(...Object.values(classes).flat())
+  element.classList.add(...active, ...from)
+
+  if (height) {
+    element.style.overflow = "hidden"
+    element.style.height = stage === "enter" ? "0px" : contentHeight
+  }
+
+  return new Promise(resolve => {
+    requestAnimationFrame(() => {
+      element.classList.remove(...from)
+      element.classList.add(...to)
+
+      if (height) {
+        element.style.height = stage === "enter" ? contentHeight : "0px"
+      }
+
+      let timer
+
+      const ended = event => {
+        if (event.target === element) done()
+      }
+
+      const done = () => {
+        clearTimeout(timer)
+        element.removeEventListener("transitionend", ended)
+        element.classList.remove(...active, ...to)
+
+        if (height) {
+          element.style.removeProperty("height")
+          element.style.removeProperty("overflow")
+        }
+
+        resolve()
+      }
+
+      element.addEventListener("transitionend", ended)
+
+      // transitionend never fires if nothing actually transitions
+      timer = setTimeout(done, durationOf(element) + 50)
+    })
+  })
+}
+
+function durationOf(element) {
+  const style = getComputedStyle(element)
+  const seconds = value => Math.max(0, ...value.split(",").map(part => parseFloat(part) || 0))
+
+  return (seconds(style.transitionDuration) + seconds(style.transitionDelay)) * 1000
+}
+
+// Usage:
+// import { transition, transitionClasses, prefersReducedMotion } from "helpers/transition"
+//
+// show() {
+//   this.panelTarget.classList.remove("hidden")
+//   if (!prefersReducedMotion()) transition(this.panelTarget, "enter", transitionClasses(this))
+// }
+//
+// async hide() {
+//   if (!prefersReducedMotion()) await transition(this.panelTarget, "leave", transitionClasses(this))
+//   this.panelTarget.classList.add("hidden")
+// }